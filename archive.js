@@ -0,0 +1,200 @@
+import path from 'node:path';
+import os from 'node:os';
+import process from 'node:process';
+import fs from 'node:fs';
+import {Buffer} from 'node:buffer';
+import zlib from 'node:zlib';
+import {convertPathToPattern} from 'globby';
+import * as tar from 'tar';
+import CliError from './cli-error.js';
+import {isWithin} from './utilities.js';
+import {extractZip, writeZip} from './zip.js';
+
+const archiveExtensions = [
+	['.tar.gz', 'tar.gz'],
+	['.tgz', 'tar.gz'],
+	['.tar', 'tar'],
+	['.zip', 'zip'],
+];
+
+/**
+Get the archive format of a path from its extension.
+
+@param {string} filePath
+@returns {'zip' | 'tar' | 'tar.gz' | undefined}
+*/
+export const getArchiveFormat = filePath => archiveExtensions.find(([extension]) => filePath.toLowerCase().endsWith(extension))?.[1];
+
+/**
+Create temporary directories for a copy, like the staging directory of an archive destination, and remove all of them once it is done.
+
+They are also removed on Ctrl+C, which ends the process without getting to the `finally` that usually does it.
+
+@returns {{create: () => string, removeAll: () => void}}
+*/
+export const createTemporaryDirectories = () => {
+	const directories = new Set();
+
+	const removeAll = () => {
+		for (const directory of directories) {
+			fs.rmSync(directory, {recursive: true, force: true});
+		}
+
+		directories.clear();
+		process.removeListener('SIGINT', removeAllOnSignal);
+		process.removeListener('SIGTERM', removeAllOnSignal);
+	};
+
+	function removeAllOnSignal(signal) {
+		removeAll();
+
+		// The listener is gone already, so this ends the process the way the signal would have.
+		process.kill(process.pid, signal);
+	}
+
+	return {
+		create() {
+			if (directories.size === 0) {
+				process.once('SIGINT', removeAllOnSignal);
+				process.once('SIGTERM', removeAllOnSignal);
+			}
+
+			const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cpy-'));
+			directories.add(directory);
+			return directory;
+		},
+		removeAll,
+	};
+};
+
+/**
+Find the archive a pattern goes into, as in `release.zip/**` or `release.tar.gz/lib/*.js`. The archive itself, without anything after it, is a plain file.
+
+@param {string} pattern - Without a leading `!`.
+@param {string} cwd
+@returns {{archivePath: string, format: string, rest: string} | undefined}
+*/
+const findArchiveInPattern = (pattern, cwd) => {
+	const segments = pattern.replaceAll('\\', '/').split('/');
+
+	for (let index = 0; index < segments.length - 1; index++) {
+		const format = getArchiveFormat(segments[index]);
+		const archivePath = path.resolve(cwd, segments.slice(0, index + 1).join('/'));
+		if (format !== undefined && fs.statSync(archivePath, {throwIfNoEntry: false})?.isFile()) {
+			return {archivePath, format, rest: segments.slice(index + 1).join('/')};
+		}
+	}
+};
+
+const extractArchive = async (archivePath, format, directory) => {
+	fs.mkdirSync(directory, {recursive: true});
+
+	try {
+		await (format === 'zip'
+			? extractZip(archivePath, directory)
+			: tar.extract({
+				file: archivePath,
+				cwd: directory,
+				preserveOwner: false,
+				strict: true,
+			}));
+	} catch (error) {
+		if (error.name === 'CliError') {
+			throw error;
+		}
+
+		throw new CliError(`Cannot extract \`${archivePath}\`: ${error.message}`, {cause: error});
+	}
+};
+
+/**
+Extract the archives that the patterns go into to a temporary directory, and point the patterns there instead. Each archive acts as a directory of its entries, so `release.zip/**` copies them like `release/**` would.
+
+@param {string[]} patterns
+@param {object} options
+@param {string} options.cwd
+@param {() => string} options.createTemporaryDirectory - Where to extract the archives to, see `createTemporaryDirectories`.
+@returns {Promise<{patterns: string[], hasArchives: boolean, toOriginalPath: (filePath: string) => string}>} `toOriginalPath` turns the path of an extracted file into its path in the archive, for messages.
+*/
+export async function extractArchiveSources(patterns, {cwd, createTemporaryDirectory}) {
+	const extractedDirectories = new Map();
+	let temporaryDirectory;
+
+	const rewrittenPatterns = [];
+	for (const pattern of patterns) {
+		const isNegated = pattern.startsWith('!');
+		const archive = findArchiveInPattern(isNegated ? pattern.slice(1) : pattern, cwd);
+		if (archive === undefined) {
+			rewrittenPatterns.push(pattern);
+			continue;
+		}
+
+		if (!extractedDirectories.has(archive.archivePath)) {
+			temporaryDirectory ??= createTemporaryDirectory();
+			const directory = path.join(temporaryDirectory, String(extractedDirectories.size), path.basename(archive.archivePath));
+			// eslint-disable-next-line no-await-in-loop
+			await extractArchive(archive.archivePath, archive.format, directory);
+			extractedDirectories.set(archive.archivePath, directory);
+		}
+
+		rewrittenPatterns.push(`${isNegated ? '!' : ''}${convertPathToPattern(extractedDirectories.get(archive.archivePath))}/${archive.rest}`);
+	}
+
+	return {
+		patterns: rewrittenPatterns,
+		hasArchives: extractedDirectories.size > 0,
+		toOriginalPath(filePath) {
+			for (const [archivePath, directory] of extractedDirectories) {
+				if (isWithin(directory, filePath)) {
+					return path.join(archivePath, path.relative(directory, filePath));
+				}
+			}
+
+			return filePath;
+		},
+	};
+}
+
+const writeTar = async (directory, archivePath, {gzip}) => {
+	const entries = fs.readdirSync(directory).sort();
+
+	// `tar` refuses to create an archive without entries, which is just the two empty end blocks.
+	if (entries.length === 0) {
+		const emptyArchive = Buffer.alloc(1024);
+		fs.writeFileSync(archivePath, gzip ? zlib.gzipSync(emptyArchive) : emptyArchive);
+		return;
+	}
+
+	await tar.create({
+		file: archivePath,
+		cwd: directory,
+		gzip,
+		portable: true,
+	}, entries);
+};
+
+/**
+Pack the contents of a directory into an archive, writing it next to the archive first and then renaming it into place, so a failure never leaves a broken archive behind.
+
+@param {string} directory
+@param {string} archivePath
+@param {{format: 'zip' | 'tar' | 'tar.gz', overwrite: boolean}} options
+*/
+export async function packArchive(directory, archivePath, {format, overwrite}) {
+	if (!overwrite && fs.existsSync(archivePath)) {
+		throw new CliError(`Cannot write \`${archivePath}\`, as it exists already`);
+	}
+
+	fs.mkdirSync(path.dirname(archivePath), {recursive: true});
+	const temporaryPath = `${archivePath}.${process.pid}.tmp`;
+
+	try {
+		await (format === 'zip'
+			? writeZip(directory, temporaryPath)
+			: writeTar(directory, temporaryPath, {gzip: format === 'tar.gz'}));
+		fs.renameSync(temporaryPath, archivePath);
+	} catch (error) {
+		fs.rmSync(temporaryPath, {force: true});
+		throw error;
+	}
+}
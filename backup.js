@@ -0,0 +1,136 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import {convertPathToPattern} from 'globby';
+import CliError from './cli-error.js';
+import {isWithin} from './utilities.js';
+
+/**
+The values of `--backup`, as in GNU `cp`. `existing` makes numbered backups of files that have them already and simple ones otherwise.
+*/
+export const backupModes = ['simple', 'numbered', 'existing'];
+
+const numberedBackupPattern = /^\.~(\d+)~$/;
+
+const findBackupNumbers = async filePath => {
+	const name = path.basename(filePath);
+
+	let entries;
+	try {
+		entries = await fs.readdir(path.dirname(filePath));
+	} catch {
+		return [];
+	}
+
+	return entries
+		.filter(entry => entry.startsWith(name))
+		.map(entry => numberedBackupPattern.exec(entry.slice(name.length))?.[1])
+		.filter(Boolean)
+		.map(Number);
+};
+
+const linkOrCopy = async (sourcePath, destinationPath) => {
+	try {
+		await fs.link(sourcePath, destinationPath);
+	} catch (error) {
+		// Hard links cannot cross filesystems, and some filesystems have none.
+		if (error.code !== 'EXDEV' && error.code !== 'EPERM') {
+			throw error;
+		}
+
+		await fs.copyFile(sourcePath, destinationPath);
+	}
+};
+
+const renameOrCopy = async (sourcePath, destinationPath) => {
+	try {
+		await fs.rename(sourcePath, destinationPath);
+	} catch (error) {
+		if (error.code !== 'EXDEV') {
+			throw error;
+		}
+
+		await fs.copyFile(sourcePath, destinationPath);
+	}
+};
+
+/**
+Create a function that backs up a destination file before it is overwritten.
+
+@param {object} options
+@param {string} [options.mode] - One of `backupModes`.
+@param {string} [options.suffix] - Of simple backups.
+@param {string} [options.directory] - Absolute path to put the backups in, with their path relative to the destination root, instead of next to the file.
+@param {string} options.destinationRoot
+@returns {(destinationPath: string, options: {keepInPlace: boolean}) => Promise<void>} With `keepInPlace`, the file is linked to the backup instead of renamed, so it never goes missing.
+*/
+export default function createBackup({mode = 'existing', suffix = '~', directory, destinationRoot}) {
+	if (!backupModes.includes(mode)) {
+		throw new CliError(`\`--backup\` must be one of: ${backupModes.join(', ')}`);
+	}
+
+	if (suffix === '' || /[\\/]/.test(suffix)) {
+		throw new CliError('`--suffix` must be a non-empty filename suffix');
+	}
+
+	const getBackupPath = async destinationPath => {
+		let basePath = destinationPath;
+		if (directory !== undefined) {
+			const relativePath = path.relative(destinationRoot, destinationPath);
+			basePath = path.join(directory, isWithin(destinationRoot, destinationPath) ? relativePath : path.basename(destinationPath));
+		}
+
+		const numbers = mode === 'simple' ? [] : await findBackupNumbers(basePath);
+		if (mode === 'numbered' || numbers.length > 0) {
+			return `${basePath}.~${Math.max(0, ...numbers) + 1}~`;
+		}
+
+		return basePath + suffix;
+	};
+
+	return async (destinationPath, {keepInPlace}) => {
+		let stats;
+		try {
+			stats = await fs.lstat(destinationPath);
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return;
+			}
+
+			throw error;
+		}
+
+		// Copying over a directory fails anyway.
+		if (stats.isDirectory()) {
+			return;
+		}
+
+		const backupPath = await getBackupPath(destinationPath);
+		await fs.mkdir(path.dirname(backupPath), {recursive: true});
+
+		if (keepInPlace) {
+			await fs.rm(backupPath, {force: true});
+			await linkOrCopy(destinationPath, backupPath);
+		} else {
+			await renameOrCopy(destinationPath, backupPath);
+		}
+	};
+}
+
+/**
+Globs, relative to the destination, of the backups, so `--delete` keeps them.
+
+@param {object} options
+@param {string} [options.suffix]
+@param {string} [options.directory]
+@param {string} options.destinationRoot
+@returns {string[]}
+*/
+export const getBackupPatterns = ({suffix = '~', directory, destinationRoot}) => {
+	const patterns = [`**/*${convertPathToPattern(suffix)}`, '**/*.~*~'];
+
+	if (directory !== undefined && directory !== destinationRoot && isWithin(destinationRoot, directory)) {
+		patterns.push(`${convertPathToPattern(path.relative(destinationRoot, directory))}/**`);
+	}
+
+	return patterns;
+};
@@ -0,0 +1,119 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import {pipeline} from 'node:stream/promises';
+
+/**
+Name of the manifest that `--checksum-cache` keeps in the destination.
+*/
+export const manifestFilename = '.cpy-checksums.json';
+
+/**
+Hash the contents of a file, streaming it so large files are not read into memory.
+
+@param {string} filePath
+@param {string} [algorithm] - Any that `crypto.createHash` supports.
+@param {import('node:stream').Transform[]} [streams] - To hash the contents as they come out of them, like a transform writes them.
+@returns {Promise<string>}
+*/
+export const hashFile = async (filePath, algorithm = 'sha1', streams = []) => {
+	const hash = crypto.createHash(algorithm);
+	await pipeline(fs.createReadStream(filePath), ...streams, hash);
+	return hash.digest('hex');
+};
+
+const readManifest = manifestPath => {
+	try {
+		const {files} = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+		return new Map(Object.entries(files));
+	} catch {
+		// A missing or broken manifest only means hashing everything again.
+		return new Map();
+	}
+};
+
+/**
+Create a cache of file checksums, which is kept in a manifest when a path for it is given.
+
+A checksum is reused as long as the size and modification time of the file are the ones it was computed for.
+
+@param {object} [options]
+@param {string} [options.manifestPath] - Where to keep the checksums between runs.
+*/
+export default function createChecksumCache({manifestPath} = {}) {
+	const baseDirectory = manifestPath === undefined ? undefined : path.dirname(manifestPath);
+	const entries = manifestPath === undefined ? new Map() : readManifest(manifestPath);
+	let isChanged = false;
+
+	// Relative to the manifest, with / as separator, so the destination can be moved or shared.
+	const toKey = filePath => baseDirectory === undefined
+		? filePath
+		: path.relative(baseDirectory, filePath).split(path.sep).join('/');
+
+	const setEntry = (filePath, stats, checksum) => {
+		entries.set(toKey(filePath), {size: stats.size, mtimeMs: stats.mtimeMs, checksum});
+		isChanged = true;
+	};
+
+	return {
+		path: manifestPath,
+
+		/**
+		@param {string} filePath
+		@returns {Promise<string>}
+		*/
+		async get(filePath) {
+			const stats = await fs.promises.stat(filePath);
+			const entry = entries.get(toKey(filePath));
+			if (entry?.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+				return entry.checksum;
+			}
+
+			const checksum = await hashFile(filePath);
+			setEntry(filePath, stats, checksum);
+			return checksum;
+		},
+
+		/**
+		Give a copied file the checksum of its source, so it is not hashed on the next run. The source is hashed for that only when there is a manifest to keep it in.
+
+		@param {string} sourcePath
+		@param {string} destinationPath
+		@param {{isTransformed?: boolean}} [options] - A transformed copy is hashed itself, as its contents differ from the source.
+		*/
+		async recordCopy(sourcePath, destinationPath, {isTransformed = false} = {}) {
+			if (manifestPath === undefined && !entries.has(toKey(sourcePath))) {
+				return;
+			}
+
+			// A moved source is gone, but its copy has the same contents.
+			if (isTransformed || !fs.existsSync(sourcePath)) {
+				await this.get(destinationPath);
+				return;
+			}
+
+			const checksum = await this.get(sourcePath);
+			setEntry(destinationPath, await fs.promises.stat(destinationPath), checksum);
+		},
+
+		/**
+		Write the manifest, without the files that no longer exist.
+		*/
+		save() {
+			if (manifestPath === undefined || !isChanged) {
+				return;
+			}
+
+			const files = {};
+			for (const [key, entry] of [...entries].sort(([a], [b]) => a.localeCompare(b))) {
+				if (fs.existsSync(path.resolve(baseDirectory, key))) {
+					files[key] = entry;
+				}
+			}
+
+			fs.mkdirSync(baseDirectory, {recursive: true});
+			fs.writeFileSync(manifestPath, JSON.stringify({version: 1, files}, undefined, '\t') + '\n');
+			isChanged = false;
+		},
+	};
+}
@@ -0,0 +1,12 @@
+export default class CliError extends Error {
+	constructor(message, {cause} = {}) {
+		super(message, {cause});
+		this.name = 'CliError';
+	}
+}
+
+/**
+@param {import('./plan.js').PlannedFile} file
+@param {Error} error
+*/
+export const createCopyError = (file, error) => new CliError(`Cannot copy from \`${file.relativePath}\` to \`${file.destinationPath}\`: ${error?.message ?? String(error)}`, {cause: error});
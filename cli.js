@@ -1,182 +1,243 @@
 #!/usr/bin/env node
-import path from 'node:path';
-import fs from 'node:fs';
 import process from 'node:process';
-import os from 'node:os';
 import meow from 'meow';
-import cpy from 'cpy';
-import {isDynamicPattern} from 'globby';
-
-function isDirectory(filePath) {
-	try {
-		return fs.statSync(filePath).isDirectory();
-	} catch {
-		return false;
-	}
-}
+import run, {flagDefinitions, normalizeArguments} from './run.js';
 
 const cli = meow(`
 	Usage
 	  $ cpy <source …> <destination>
+	  $ cpy <source …> --to=<destination> …
+	  $ cpy [--task=<name> …]
 
 	Options
 	  --no-overwrite       Don't overwrite the destination
 	  --ignore-existing    Skip files that already exist at the destination
+	  -i, --interactive    Ask before overwriting each existing destination
 	  --update             Only overwrite if the source is newer, or if sizes differ with the same modification time
+	  --checksum           Only overwrite if the contents differ, implies --update
+	  --checksum-cache     Keep the checksums in the destination, so unchanged files are not hashed again
 	  --cwd=<dir>          Working directory for files
 	  --base=<mode>        Base mode for destination paths: cwd or pattern
-	  --rename=<filename>  Rename all <source> filenames to <filename>. Supports string templates.
+	  --rename=<filename>  Rename all <source> filenames to <filename>. Supports string templates, see below.
+	  --rename-regex=<sub> Rewrite the filename with a regex substitution (can be repeated)
+	  --path-regex=<sub>   Rewrite the path relative to the destination with a regex substitution (can be repeated)
 	  --dot                Allow patterns to match entries that begin with a period (.)
+	  --gitignore          Skip files ignored by the .gitignore files in --cwd and below
+	  --ignore-file=<file> Skip files ignored by this file, with the syntax of .gitignore (can be repeated)
+	  --symlinks=<mode>    Follow symbolic links, preserve them as links or skip them: follow (default), preserve or skip
+	  --min-size=<size>    Only copy files of at least this size, like 10k or 2MiB
+	  --max-size=<size>    Only copy files of at most this size
+	  --newer-than=<time>  Only copy files modified after a date, a duration ago like 1d or 2h30m, or another file
+	  --older-than=<time>  Only copy files modified before a date, a duration ago or another file
+	  --files-only         Only copy regular files, skipping symbolic links
+	  --include-empty-dirs Create the directories the sources match in the destination, empty ones included, or --empty-dirs
+	  --dirs-only          Only create the directories the sources match, without copying any file
 	  --flat               Flatten directory structure. All copied files will be put in the same directory.
+	  --on-conflict=<mode> When several sources map to the same destination: error, skip, newest or suffix
 	  --dry-run            List files that would be copied without actually copying
+	  --move               Remove each source once it is copied
+	  --prune-sources      Remove source directories that --move leaves empty
+	  --atomic             Write each file to a temporary file next to it and rename that into place when complete
+	  --verify             Read each file back after writing it and compare it with the source
+	  --reflink[=<mode>]   Clone the files with copy-on-write where the filesystem can: auto, always or never
+	  --link               Hard link the files instead of copying them
+	  --manifest=<file>    Write a JSON manifest of where each source was copied to, with the size and digests of the copy
+	  --backup[=<mode>]    Back up destination files before overwriting them: simple, numbered or existing (default)
+	  --suffix=<suffix>    Suffix of simple backups, ~ by default
+	  --backup-dir=<dir>   Put backups in this directory, with their path relative to the destination, instead of next to them
+	  --preserve=<list>    Keep the timestamps, mode and ownership of the sources, or the comma-separated ones given
+	  -p, --preserve-all   Same as --preserve=timestamps,mode,ownership
+	  --replace=<FROM=TO>  Replace each FROM in the contents with TO while copying (can be repeated)
+	  --env-substitute     Replace \${VAR} in the contents with the environment variable, or \${VAR:-default}
+	  --transform=<module> Rewrite the contents with a local ES module, see below (can be repeated)
+	  --transform-files=<glob> Only rewrite the contents of files matching the glob (can be repeated)
 	  --concurrency        Number of files being copied concurrently
+	  --progress           Show the progress of the copy
+	  --stats              Print a summary of copied, skipped and removed files at the end
+	  --json               Print the planned or performed operations and a summary as JSON
+	  --ndjson             Stream the planned or performed operations and a summary as newline-delimited JSON
+	  --watch              Keep watching the sources and copy files as they are added or changed
+	  --delete             Remove destination files that no matched source maps to
+	  --protect=<glob>     Never remove destination files matching the glob with --delete (can be repeated)
+	  --task=<name>        Run the named task of the config file (can be repeated)
+	  --config=<file>      Config file to read the tasks from
+	  --to=<dir>           Copy to this destination too, instead of the last argument (can be repeated), or --dest
 
 	<source> can contain globs if quoted
 
+	<destination> is written as an archive when it ends in .zip, .tar, .tar.gz or .tgz, with the files laid out like in a
+	directory. A <source> can go into an archive, as in release.zip/** or 'release.tar.gz/lib/*.js', to copy its entries
+	like the files of a directory. An archive on its own is copied as a file, also to an archive name of the same format.
+	A <destination> with a trailing slash is always a directory.
+
 	Errors if no files match, similar to cp.
 
 	--update is ignored when --no-overwrite or --ignore-existing is set.
 
+	--interactive shows the size and modification time of both files and asks, like cp -i: [y]es, [n]o, [a]ll to overwrite
+	the rest, n[o]ne to skip the rest, or [d]iff to see what would change first. It needs a terminal for stdin, and
+	there is nothing to ask about with --dry-run.
+
+	--checksum compares SHA-1 hashes of the contents, which works even when the modification times are reset, like after
+	a git checkout. --checksum-cache keeps them in .cpy-checksums.json and only hashes a file again when its size or modification time changes.
+
+	--min-size and --max-size take bytes or a number with a unit: k, M and G are powers of 1000, Ki, Mi and Gi of 1024.
+	--newer-than and --older-than take a file to compare with first, then a duration in w, d, h, m, s or ms before now,
+	and then a date like 2024-05-01. Filtered files are skipped, so --delete keeps them.
+
+	--include-empty-dirs and --dirs-only map directories like the files in them, following --cwd and --base, so they cannot
+	be used with --flat. A directory given as <source> keeps its name, unless --base=pattern copies only what is in it.
+
+	--ignore-file takes a file like .cpyignore, relative to --cwd. Like for .gitignore, its patterns are relative to its directory.
+
+	--move renames the files when the destination is on the same filesystem. Otherwise a source is only removed once its copy
+	is completely written, so a failed copy never loses it. Skipped files keep their sources.
+
+	--atomic keeps watchers from seeing half-written files and interrupted copies from leaving them behind. The temporary
+	files are named .<filename>.<random>.tmp and removed on errors and on Ctrl+C.
+
+	--verify compares the size and SHA-256 hash of each copy with the source, or with what a transform wrote, and copies
+	it once more when they differ. The files that still differ then are listed at the end and fail the copy. A source
+	that --move would remove is kept for them.
+
+	--reflink clones files on filesystems that share data between files, like Btrfs, XFS and APFS, so a copy takes no time
+	or space until either file changes. auto falls back to a regular copy, always fails instead, and never writes every
+	byte even where the system would clone by itself. Transformed files are always written anew. --link makes the
+	destination another name for the source, so changing one changes both. It needs the same filesystem and cannot be
+	used with --move, --preserve or the options that change the contents. A destination that is a link to its source
+	already is up to date.
+
+	--manifest maps each source to its destination, both relative to --cwd, with the size and the sha256 and sha384 digests
+	of the copy in the format of subresource integrity. Files that --update finds up to date are included, symbolic links
+	are not. A dry run does not write it.
+
+	--backup renames the file that would be overwritten to file~ or, numbered, to file.~1~, file.~2~ and so on, like cp.
+	existing makes numbered backups of files that have them already and simple ones otherwise. -b is short for --backup,
+	and --suffix and --backup-dir imply it. --delete keeps the backups.
+
+	--on-conflict checks before copying whether several sources, like the same filename in different directories with
+	--flat or --rename, would end up at the same destination. Without it, the last one wins. error lists every conflict,
+	skip copies none of the sources, newest the one modified last, and suffix copies the first by path to the destination
+	and the others to name-1.ext, name-2.ext and so on. Each conflict is reported on stderr.
+
+	--symlinks=preserve recreates links as links. Relative links that point inside the copied directory keep their target,
+	other relative links are rewritten to still point at the same file. Links to directories are copied as files with --flat.
+	Following a link to a directory that contains it is an error, as it never ends.
+
+	--replace, --env-substitute and then each --transform rewrite the contents in that order, of all files unless
+	--transform-files limits them to some, with globs relative to --cwd. A --transform module, relative to --cwd, exports
+	a (content, file) => content function as default, which can be async, or a createStream(file) function that returns a
+	transform stream. Binary files, which have a NUL byte near the start, only go through createStream transforms, and
+	files without a match are copied byte for byte. An unset variable without a default is an error, which leaves the
+	destination as it was, as transformed files are written like with --atomic. Transformed files are never moved with a
+	rename, and --checksum compares them with the source as the transform would write it.
+
+	Copies always keep the mode and the timestamps to the millisecond. --preserve=timestamps keeps the timestamps to the
+	microsecond and --preserve=ownership keeps the user and group as far as permitted, which usually needs root.
+
+	--watch copies everything once and then only the files that change, with the same options.
+
+	--rename templates are the whole filename and support these tokens:
+	  {{name}}             Filename without the extension
+	  {{ext}}              Extension without the dot, a preceding dot is dropped when it is empty
+	  {{basename}}         Filename without the extension, with the extension appended after the template unless {{ext}} is used
+	  {{dir}}              Name of the source directory
+	  {{relativePath}}     Source path relative to --cwd, with the directories joined by dashes
+	  {{index}}            Counter starting at 1, {{index:3}} pads it to three digits
+	  {{date}}             Date of the copy, as YYYY-MM-DD
+	  {{hash}}             Start of the SHA-256 hash of the contents, 8 characters or as many as {{hash:12}} asks for
+	Append |upper, |lower, |kebab, |snake or |camel to a token to change its case, as in {{name|kebab}}.
+
+	--rename-regex and --path-regex take sed-like s/pattern/replacement/flags expressions, with $1 or $<name> for capture groups.
+	Any character can be the delimiter, as in s#a/b#c#. They apply after --rename, and --rename-regex before --path-regex.
+	The path uses / as separator and has to stay inside the destination.
+
+	--progress draws a progress bar in a terminal and prints a line every second otherwise. Both --progress and --stats write to stderr.
+
+	--json and --ndjson report each file with its source, destination, size and action: copied, renamed, moved,
+	created-directory, skipped-filtered, skipped-existing, skipped-up-to-date, skipped-duplicate, skipped-conflict,
+	skipped-declined or removed.
+
+	--delete mirrors the sources into the destination, like rsync. Files that are skipped by --update or --ignore-existing are kept. It refuses to run when the destination contains a source.
+
+	--to globs the sources once and copies them to each destination, each a directory or an archive, with the same
+	options. Each source is read once and written to all its destinations at the same time, unless --reflink clones it.
+	Every destination gets its own --delete and --checksum-cache, as if cpy ran for each, while --json and --stats report
+	on all of them at once. --move and --manifest take a single --to.
+
+	Without <source> and <destination>, all tasks of the config file run, one after the other. The config file is
+	cpy.config.js, cpy.config.mjs, cpy.config.json or the "cpy" key of package.json in the current directory.
+	It maps task names to tasks with "sources", a "destination" and any of the options above, in camelCase.
+	A relative "cwd" is resolved against the directory of the config, which is also the default without --cwd. Options
+	given on the command line apply to every task, unless the task sets them itself. --json, --ndjson and --stats report on all tasks at once, so only the command line
+	can set them.
+
 	If the source is a single file and the destination is not an existing directory, it will be treated as a file-to-file copy (like cp).
 
 	Examples
 	  Copy all .png files in src folder into dist except src/goat.png
 	  $ cpy 'src/*.png' '!src/goat.png' dist
 
-	  Copy all files inside src folder into dist and preserve path structure
+	  Copy all files inside src folder into dist and preserve their paths, add --empty-dirs for directories without files
 	  $ cpy . '../dist/' --cwd=src
 
+	  Create the folder skeleton of a template, without its files
+	  $ cpy templates/app new-app --dirs-only --base=pattern
+
 	  Copy a single file to a specific filename
 	  $ cpy .env.development .env
 
 	  Copy all .png files in the src folder to dist and prefix the image filenames
 	  $ cpy 'src/*.png' dist --cwd=src --rename=hi-{{basename}}
 
+	  Copy each locale into a file named after its directory
+	  $ cpy 'src/locales/*/messages.json' dist --path-regex='s#^(.+)/messages\\.json$#messages.$1.json#'
+
+	  Copy the page into dist with the environment variables and version filled in
+	  $ cpy index.html dist/ --env-substitute --replace='__VERSION__=1.2.0'
+
+	  Package the build output into a release archive
+	  $ cpy 'build/**' release.zip
+
+	  Extract the scripts of a release
+	  $ cpy 'release.tar.gz/**/*.js' scripts
+
+	  Copy assets with content hashed filenames for cache-busting
+	  $ cpy 'assets/*' dist --rename='{{name}}.{{hash:8}}.{{ext}}'
+
 	  Copy only when the source is newer, or if sizes differ with the same modification time
 	  $ cpy src dist --update
-`, {
-	importMeta: import.meta,
-	flags: {
-		overwrite: {
-			type: 'boolean',
-			default: true,
-		},
-		ignoreExisting: {
-			type: 'boolean',
-			default: false,
-		},
-		update: {
-			type: 'boolean',
-			default: false,
-		},
-		cwd: {
-			type: 'string',
-			default: process.cwd(),
-		},
-		base: {
-			type: 'string',
-		},
-		rename: {
-			type: 'string',
-		},
-		dot: {
-			type: 'boolean',
-			default: false,
-		},
-		flat: {
-			type: 'boolean',
-			default: false,
-		},
-		dryRun: {
-			type: 'boolean',
-			default: false,
-		},
-		concurrency: {
-			type: 'number',
-			default: (os.cpus().length > 0 ? os.cpus().length : 1) * 2,
-		},
-	},
-});
 
-try {
-	const {rename} = cli.flags;
-	const stringTemplate = '{{basename}}';
-	if (rename?.includes(stringTemplate)) {
-		cli.flags.rename = (source, destination) => {
-			destination.name = rename.replaceAll(stringTemplate, source.nameWithoutExtension) + (source.extension ? `.${source.extension}` : '');
-		};
-	}
+	  Mirror the build output into a deploy folder, keeping its config
+	  $ cpy 'build/**' deploy --update --delete --protect=config.json
 
-	const copyFiles = [];
-
-	let destination = cli.input.pop();
-	const sourcePatterns = cli.input.filter(pattern => !pattern.startsWith('!'));
-	const hasDestination = typeof destination === 'string';
-	const hasTrailingSeparator = hasDestination && /[\\/]$/.test(destination);
-	const sourcePatternForDynamicCheck = sourcePatterns.length === 1 && process.platform === 'win32' ? sourcePatterns[0].replaceAll('\\', '/') : sourcePatterns[0];
-	const isFileToFileCopy = sourcePatterns.length === 1
-		&& hasDestination
-		&& !isDynamicPattern(sourcePatternForDynamicCheck)
-		&& !isDirectory(path.resolve(cli.flags.cwd, sourcePatterns[0]))
-		&& !hasTrailingSeparator
-		&& !isDirectory(path.resolve(cli.flags.cwd, destination));
-
-	if (isFileToFileCopy) {
-		const destinationFilename = path.basename(destination);
-		cli.flags.rename = (source, destination) => {
-			destination.name = destinationFilename;
-		};
-
-		cli.flags.flat = true;
-		destination = path.dirname(destination);
-	}
+	  Keep dist in sync with the static assets, including deletions
+	  $ cpy 'static/**' dist --watch --delete
 
-	const shouldIgnoreExisting = cli.flags.ignoreExisting;
-	const shouldUseUpdate = cli.flags.update && cli.flags.overwrite && !shouldIgnoreExisting;
-	let hasMatchedFiles = false;
-	let filter;
-	if (shouldUseUpdate || shouldIgnoreExisting) {
-		filter = () => {
-			hasMatchedFiles = true;
-			return true;
-		};
-	}
+	  Copy assets with hashed names and write down which is which
+	  $ cpy 'assets/**' dist --rename='{{name}}.{{hash}}.{{ext}}' --manifest=dist/manifest.json
 
-	const cpyOptions = {
-		cwd: cli.flags.cwd,
-		base: cli.flags.base,
-		rename: cli.flags.rename,
-		overwrite: cli.flags.overwrite,
-		ignoreExisting: shouldIgnoreExisting,
-		dot: cli.flags.dot,
-		flat: cli.flags.flat,
-		concurrency: cli.flags.concurrency,
-	};
-
-	const files = await cpy(cli.input, destination, {
-		...cpyOptions,
-		dryRun: cli.flags.dryRun,
-		update: shouldUseUpdate,
-		filter,
-		onProgress({sourcePath, destinationPath}) {
-			if (cli.flags.dryRun && sourcePath !== '' && destinationPath !== '') {
-				copyFiles.push({sourcePath, destinationPath});
-			}
-		},
-	});
-
-	if (files.length === 0 && !hasMatchedFiles) {
-		console.error('No files matched the given patterns');
-		process.exit(1);
-	}
+	  Flatten icon sets, numbering the icons with the same name
+	  $ cpy 'icons/**/*.svg' dist --flat --on-conflict=suffix
 
-	if (cli.flags.dryRun) {
-		for (const {sourcePath, destinationPath} of copyFiles) {
-			console.log(`${path.relative(process.cwd(), sourcePath)} → ${path.relative(process.cwd(), destinationPath)}`);
-		}
-	}
+	  Clone a large dataset on Btrfs or XFS without using more space
+	  $ cpy 'data/**' snapshot --reflink=always
+
+	  Copy the shared assets into several packages at once
+	  $ cpy 'shared/assets/**' --to=packages/web/assets --to=packages/admin/assets
+
+	  Preview the assets task of the config file
+	  $ cpy --task=assets --dry-run
+`, {
+	importMeta: import.meta,
+	argv: normalizeArguments(process.argv.slice(2)),
+	flags: flagDefinitions,
+});
+
+try {
+	await run(cli.input, cli.flags, {log: console.log, logError: console.error});
 } catch (error) {
-	if (error.name === 'CpyError') {
+	if (error.name === 'CpyError' || error.name === 'CliError') {
 		console.error(error.message);
 		process.exit(1);
 	} else {
@@ -0,0 +1,190 @@
+import path from 'node:path';
+import process from 'node:process';
+import fs from 'node:fs';
+import {pathToFileURL} from 'node:url';
+import CliError from './cli-error.js';
+
+const configFilenames = [
+	'cpy.config.js',
+	'cpy.config.mjs',
+	'cpy.config.json',
+];
+
+// What is printed for the whole run rather than for each task.
+const outputOptions = ['json', 'ndjson', 'stats'];
+
+const readJson = filePath => {
+	try {
+		return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch (error) {
+		throw new CliError(`Cannot read config \`${filePath}\`: ${error.message}`, {cause: error});
+	}
+};
+
+const loadConfigFile = async filePath => {
+	if (path.extname(filePath) === '.json') {
+		return path.basename(filePath) === 'package.json' ? readJson(filePath).cpy : readJson(filePath);
+	}
+
+	try {
+		const {default: config} = await import(pathToFileURL(filePath).href);
+		return config;
+	} catch (error) {
+		throw new CliError(`Cannot load config \`${filePath}\`: ${error.message}`, {cause: error});
+	}
+};
+
+/**
+Find and load the copy tasks, from the given file or else from `cpy.config.js`, `cpy.config.mjs`, `cpy.config.json` or the `cpy` key of `package.json` in `cwd`.
+
+@param {object} options
+@param {string} options.cwd
+@param {string} [options.configPath]
+@returns {Promise<{path: string, tasks: Record<string, object>} | undefined>} `undefined` when there is no config.
+*/
+export async function loadConfig({cwd, configPath}) {
+	let filePath;
+	if (configPath === undefined) {
+		filePath = configFilenames
+			.map(filename => path.join(cwd, filename))
+			.find(candidate => fs.existsSync(candidate));
+
+		const packagePath = path.join(cwd, 'package.json');
+		if (filePath === undefined && fs.existsSync(packagePath) && readJson(packagePath).cpy !== undefined) {
+			filePath = packagePath;
+		}
+
+		if (filePath === undefined) {
+			return;
+		}
+	} else {
+		filePath = path.resolve(cwd, configPath);
+		if (!fs.existsSync(filePath)) {
+			throw new CliError(`Cannot find config \`${configPath}\``);
+		}
+	}
+
+	const tasks = await loadConfigFile(filePath);
+	if (tasks === null || typeof tasks !== 'object' || Array.isArray(tasks)) {
+		throw new CliError(`Config \`${filePath}\` must be an object of named tasks`);
+	}
+
+	return {path: filePath, tasks};
+}
+
+const isValidOption = (value, {type, isMultiple}) => {
+	if (isMultiple) {
+		return [value].flat().every(item => typeof item === type);
+	}
+
+	return typeof value === type;
+};
+
+// The destinations of `to` are not part of the input, see `runCopyToDestinations`.
+const getTaskInput = (subject, {sources, destination, to}) => {
+	const sourceList = [sources ?? []].flat();
+	const hasTo = [to ?? []].flat().length > 0;
+	if (sourceList.length === 0 || sourceList.some(source => typeof source !== 'string') || (typeof destination !== 'string' && !hasTo)) {
+		throw new CliError(`${subject} needs \`sources\` and a \`destination\` or \`to\``);
+	}
+
+	if (destination !== undefined && hasTo) {
+		throw new CliError(`${subject} cannot have both a \`destination\` and \`to\``);
+	}
+
+	return destination === undefined ? sourceList : [...sourceList, destination];
+};
+
+// The `cwd` of the options is relative to their directory. Without one, `--cwd` from the command line applies, which is relative to the current directory.
+const resolveCwd = (cwd, {directory, commandLineCwd}) => {
+	if (cwd !== undefined) {
+		return path.resolve(directory, cwd);
+	}
+
+	return commandLineCwd === undefined ? directory : path.resolve(commandLineCwd);
+};
+
+const resolveOptions = (task, {subject, location, directory, flagDefinitions, flags}) => {
+	const {sources, destination, ...options} = task;
+	const input = getTaskInput(subject, {sources, destination, to: options.to ?? flags.to});
+
+	for (const [option, value] of Object.entries(options)) {
+		const definition = flagDefinitions[option];
+		if (definition === undefined || option === 'task' || option === 'config') {
+			throw new CliError(`Unknown option \`${option}\` in ${location}`);
+		}
+
+		// A function is fine for `rename` in a JavaScript config, it is passed on to `cpy`.
+		const isRenameFunction = option === 'rename' && typeof value === 'function';
+		if (!isRenameFunction && !isValidOption(value, definition)) {
+			throw new CliError(`Option \`${option}\` in ${location} must be ${definition.isMultiple ? 'a list of ' : 'a '}${definition.type}`);
+		}
+	}
+
+	for (const [option, {isMultiple}] of Object.entries(flagDefinitions)) {
+		if (isMultiple && options[option] !== undefined) {
+			options[option] = [options[option]].flat();
+		}
+	}
+
+	return {
+		input,
+		flags: {
+			...flags,
+			...options,
+			cwd: resolveCwd(options.cwd, {directory, commandLineCwd: flags.cwd}),
+		},
+	};
+};
+
+/**
+Turn a task of the config into the sources, destination and flags to run it with.
+
+The options of a task are named like the flags, and they override the flags given on the command line, except for `json`, `ndjson` and `stats`, which can only be given there. A relative `cwd` is resolved against the directory of the config, which is also the default without `--cwd`.
+
+@param {string} name
+@param {object} task
+@param {object} options
+@param {string} options.configPath
+@param {Record<string, {type: string, isMultiple?: boolean}>} options.flagDefinitions
+@param {Record<string, unknown>} options.flags - The flags from the command line.
+@returns {{name: string, input: string[], flags: Record<string, unknown>}}
+*/
+export function resolveTask(name, task, {configPath, flagDefinitions, flags}) {
+	if (task === null || typeof task !== 'object') {
+		throw new CliError(`Task \`${name}\` must be an object`);
+	}
+
+	const outputOption = outputOptions.find(option => Object.hasOwn(task, option));
+	if (outputOption !== undefined) {
+		throw new CliError(`Option \`${outputOption}\` in task \`${name}\` can only be given on the command line, as it applies to all tasks`);
+	}
+
+	return {
+		name,
+		...resolveOptions(task, {
+			subject: `Task \`${name}\``,
+			location: `task \`${name}\``,
+			directory: path.dirname(configPath),
+			flagDefinitions,
+			flags,
+		}),
+	};
+}
+
+/**
+Turn the options given to `runCpy` into the sources, destination and flags to run with. They are checked like a task of the config, and a relative `cwd` is resolved against `process.cwd()`.
+
+@param {object} options - `sources`, a `destination` or `to`, and the flags in camelCase.
+@param {object} context
+@param {Record<string, {type: string, isMultiple?: boolean}>} context.flagDefinitions
+@param {Record<string, unknown>} context.flags - The defaults of the flags.
+@returns {{input: string[], flags: Record<string, unknown>}}
+*/
+export const resolveApiOptions = (options, {flagDefinitions, flags}) => resolveOptions(options, {
+	subject: '`runCpy`',
+	location: 'the options of `runCpy`',
+	directory: process.cwd(),
+	flagDefinitions,
+	flags,
+});
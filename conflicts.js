@@ -0,0 +1,117 @@
+import path from 'node:path';
+import process from 'node:process';
+import fs from 'node:fs';
+import CliError from './cli-error.js';
+
+/**
+The ways `--on-conflict` can resolve several sources mapping to the same destination.
+*/
+export const conflictPolicies = ['error', 'skip', 'newest', 'suffix'];
+
+const relativeToCwd = filePath => path.relative(process.cwd(), filePath);
+
+/**
+Group the files by destination, keeping the groups of more than one source. The same source matched twice is not a conflict, `findFiles` drops it already.
+
+@param {import('./plan.js').PlannedFile[]} files
+@returns {Array<{destinationPath: string, files: import('./plan.js').PlannedFile[]}>} The sources of each group sorted by path, so the result does not depend on the order of globbing.
+*/
+export const findConflicts = files => {
+	const filesByDestination = new Map();
+	for (const file of files) {
+		const group = filesByDestination.get(file.destinationPath) ?? [];
+		group.push(file);
+		filesByDestination.set(file.destinationPath, group);
+	}
+
+	return [...filesByDestination]
+		.filter(([, group]) => group.length > 1)
+		.map(([destinationPath, group]) => ({
+			destinationPath,
+			files: group.toSorted((a, b) => a.sourcePath < b.sourcePath ? -1 : 1),
+		}));
+};
+
+/**
+Format a conflict as its destination and the sources that map to it.
+
+@param {ReturnType<typeof findConflicts>[number]} conflict
+@returns {string}
+*/
+export const formatConflict = ({destinationPath, files}) => `${relativeToCwd(destinationPath)}: ${files.map(({relativePath}) => relativePath).join(', ')}`;
+
+// As in `icon-1.png`, counting up past the names that are taken already.
+const createSuffixedPath = (destinationPath, takenPaths) => {
+	const {dir, name, ext} = path.parse(destinationPath);
+
+	for (let number = 1; ; number++) {
+		const suffixedPath = path.join(dir, `${name}-${number}${ext}`);
+		if (!takenPaths.has(suffixedPath)) {
+			return suffixedPath;
+		}
+	}
+};
+
+const getModificationTime = file => fs.statSync(file.sourcePath).mtimeMs;
+
+/**
+Resolve the destinations that several sources map to, which would otherwise leave whichever was copied last.
+
+- `error`: Throw, listing every conflict.
+- `skip`: Copy none of the sources of a conflict.
+- `newest`: Copy the source modified last, and the last one in path order on a tie.
+- `suffix`: Copy the first source in path order to the destination and number the others, as in `name-1.ext` and `name-2.ext`.
+
+@param {import('./plan.js').PlannedFile[]} files
+@param {'error' | 'skip' | 'newest' | 'suffix'} policy
+@returns {{files: import('./plan.js').PlannedFile[], skipped: Array<{file: import('./plan.js').PlannedFile, action: 'skipped-conflict' | 'skipped-duplicate'}>, conflicts: ReturnType<typeof findConflicts>}} The files in their original order, with the destinations of the renamed ones changed.
+*/
+export default function resolveConflicts(files, policy) {
+	const conflicts = findConflicts(files);
+	if (conflicts.length === 0) {
+		return {files, skipped: [], conflicts};
+	}
+
+	if (policy === 'error') {
+		const list = conflicts.map(conflict => `  ${formatConflict(conflict)}`).join('\n');
+		throw new CliError(`Several sources map to the same destination, choose what to do with --on-conflict=skip, newest or suffix:\n${list}`);
+	}
+
+	const skipped = [];
+	const destinationPaths = new Map();
+	const takenPaths = new Set(files.map(({destinationPath}) => destinationPath));
+
+	for (const conflict of conflicts) {
+		if (policy === 'skip') {
+			skipped.push(...conflict.files.map(file => ({file, action: 'skipped-conflict'})));
+		} else if (policy === 'newest') {
+			let newestFile;
+			let newestTime = Number.NEGATIVE_INFINITY;
+			for (const file of conflict.files) {
+				const modificationTime = getModificationTime(file);
+				if (modificationTime >= newestTime) {
+					newestFile = file;
+					newestTime = modificationTime;
+				}
+			}
+
+			skipped.push(...conflict.files.filter(file => file !== newestFile).map(file => ({file, action: 'skipped-duplicate'})));
+		} else {
+			for (const file of conflict.files.slice(1)) {
+				const suffixedPath = createSuffixedPath(conflict.destinationPath, takenPaths);
+				takenPaths.add(suffixedPath);
+				destinationPaths.set(file, suffixedPath);
+			}
+		}
+	}
+
+	const skippedFiles = new Set(skipped.map(({file}) => file));
+
+	return {
+		files: files
+			.filter(file => !skippedFiles.has(file))
+			.map(file => destinationPaths.has(file) ? {...file, destinationPath: destinationPaths.get(file)} : file),
+		skipped,
+		conflicts,
+	};
+}
@@ -0,0 +1,265 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import process from 'node:process';
+import {convertPathToPattern, isDynamicPattern} from 'globby';
+import CliError from './cli-error.js';
+import {isWithin} from './utilities.js';
+import createDestinationRewriter from './rewrite.js';
+import {findFiles} from './plan.js';
+import {parsePreserve} from './copy.js';
+import createFileFilter from './filters.js';
+import createTransform from './transform.js';
+import {extractArchiveSources, getArchiveFormat} from './archive.js';
+import {findDirectories, isDirectoryWithoutFiles} from './directories.js';
+import {assertNoSymbolicLinkCycles, preserveSymbolicLinks} from './symlinks.js';
+import createChecksumCache, {manifestFilename} from './checksum.js';
+import createBackup from './backup.js';
+import resolveConflicts from './conflicts.js';
+import {findArchiveDestinationConflict, hasBackup} from './validate.js';
+
+function isDirectory(filePath) {
+	try {
+		return fs.statSync(filePath).isDirectory();
+	} catch {
+		return false;
+	}
+}
+
+/**
+Tell what the destination is: an archive to pack, a file for a single source like with `cp`, or a directory.
+
+@param {string[]} sourcePatterns - Without the `!` patterns.
+@param {string | undefined} destination
+@param {string} cwd
+@returns {{archiveFormat: 'zip' | 'tar' | 'tar.gz' | undefined, isFileToFileCopy: boolean}}
+*/
+const getDestinationKind = (sourcePatterns, destination, cwd) => {
+	if (typeof destination !== 'string') {
+		return {archiveFormat: undefined, isFileToFileCopy: false};
+	}
+
+	const hasTrailingSeparator = /[\\/]$/.test(destination);
+	const isExistingDirectory = isDirectory(path.resolve(cwd, destination));
+
+	// Copying an archive to an archive of the same format is a plain copy.
+	const destinationFormat = hasTrailingSeparator || isExistingDirectory ? undefined : getArchiveFormat(destination);
+	const archiveFormat = sourcePatterns.length === 1 && getArchiveFormat(sourcePatterns[0]) === destinationFormat ? undefined : destinationFormat;
+
+	const sourcePatternForDynamicCheck = sourcePatterns.length === 1 && process.platform === 'win32' ? sourcePatterns[0].replaceAll('\\', '/') : sourcePatterns[0];
+	const isFileToFileCopy = archiveFormat === undefined
+		&& sourcePatterns.length === 1
+		&& !isDynamicPattern(sourcePatternForDynamicCheck)
+		&& !isDirectory(path.resolve(cwd, sourcePatterns[0]))
+		&& !hasTrailingSeparator
+		&& !isExistingDirectory;
+
+	return {archiveFormat, isFileToFileCopy};
+};
+
+const resolveIgnoreFiles = flags => flags.ignoreFile.map(ignoreFile => {
+	const ignoreFilePath = path.resolve(flags.cwd, ignoreFile);
+	if (!fs.existsSync(ignoreFilePath)) {
+		throw new CliError(`Cannot find ignore file \`${ignoreFile}\``);
+	}
+
+	// A path, not a glob, even when it has special characters.
+	return convertPathToPattern(ignoreFilePath);
+});
+
+const resolvePreserve = flags => {
+	if (flags.preserveAll) {
+		return parsePreserve('');
+	}
+
+	return flags.preserve === undefined ? new Set() : parsePreserve(flags.preserve);
+};
+
+const createBackupOptions = (flags, destinationRoot) => ({
+	mode: flags.backup || undefined,
+	suffix: flags.suffix,
+	directory: flags.backupDir === undefined ? undefined : path.resolve(flags.cwd, flags.backupDir),
+	destinationRoot,
+});
+
+/**
+@typedef {Awaited<ReturnType<typeof createCopyContext>>} CopyContext
+*/
+
+/**
+Work out where the sources of a copy go and with which options, and how to find them.
+
+An archive destination is copied into a temporary directory, which is packed afterwards, and archive sources are extracted to one.
+
+@param {string[]} input - The sources and the destination.
+@param {Record<string, any>} flags - Checked with `validateFlags`.
+@param {object} options
+@param {ReturnType<import('./archive.js').createTemporaryDirectories>} options.temporaryDirectories - Removed by the caller once the copy is done.
+*/
+export default async function createCopyContext(input, flags, {temporaryDirectories}) {
+	flags = {...flags};
+	input = [...input];
+
+	let destination = input.pop();
+	const archiveSources = await extractArchiveSources(input, {cwd: flags.cwd, createTemporaryDirectory: temporaryDirectories.create});
+	input = archiveSources.patterns;
+
+	if (archiveSources.hasArchives && (flags.watch || flags.move)) {
+		throw new CliError('`--watch` and `--move` cannot be used with files in archives');
+	}
+
+	const hasDestination = typeof destination === 'string';
+	const {archiveFormat, isFileToFileCopy} = getDestinationKind(input.filter(pattern => !pattern.startsWith('!')), destination, flags.cwd);
+
+	if (isFileToFileCopy) {
+		if (flags.delete) {
+			throw new CliError('`--delete` cannot be used for a file-to-file copy');
+		}
+
+		const destinationFilename = path.basename(destination);
+		flags.rename = (source, destination) => {
+			destination.name = destinationFilename;
+		};
+
+		flags.flat = true;
+		destination = path.dirname(destination);
+	}
+
+	let archivePath;
+	if (archiveFormat !== undefined) {
+		const conflictingFlag = findArchiveDestinationConflict(flags);
+		if (conflictingFlag !== undefined) {
+			throw new CliError(`\`${conflictingFlag}\` cannot be used with an archive destination`);
+		}
+
+		// Everything is copied into a temporary directory as usual, which is then packed.
+		archivePath = path.resolve(flags.cwd, destination);
+		destination = temporaryDirectories.create();
+	}
+
+	const destinationRoot = hasDestination ? path.resolve(flags.cwd, destination) : undefined;
+
+	// The paths in the archives instead of the temporary ones, for messages.
+	const toDisplayPath = filePath => archivePath !== undefined && isWithin(destinationRoot, filePath)
+		? path.join(archivePath, path.relative(destinationRoot, filePath))
+		: archiveSources.toOriginalPath(filePath);
+
+	const shouldUseUpdate = (flags.update || flags.checksum) && flags.overwrite && !flags.ignoreExisting;
+	const backupOptions = createBackupOptions(flags, destinationRoot);
+	const shouldCreateDirectories = flags.includeEmptyDirs || flags.dirsOnly;
+	const rewriteDestination = hasDestination ? createDestinationRewriter(flags, destinationRoot) : undefined;
+
+	const cpyOptions = {
+		cwd: flags.cwd,
+		base: flags.base,
+		rename: flags.rename,
+		dot: flags.dot,
+		flat: flags.flat,
+		gitignore: flags.gitignore,
+		ignoreFiles: resolveIgnoreFiles(flags),
+	};
+
+	return {
+		flags,
+		input,
+		destination,
+		destinationRoot,
+		archivePath,
+		archiveFormat,
+		toDisplayPath,
+		shouldUseUpdate,
+		shouldCreateDirectories,
+		backupOptions,
+		backup: hasBackup(flags) ? createBackup(backupOptions) : undefined,
+		checksumCache: shouldUseUpdate && flags.checksum
+			? createChecksumCache({manifestPath: flags.checksumCache ? path.join(destinationRoot, manifestFilename) : undefined})
+			: undefined,
+		filter: createFileFilter(flags),
+		transform: await createTransform({
+			replace: flags.replace,
+			envSubstitute: flags.envSubstitute,
+			modules: flags.transform,
+			files: flags.transformFiles,
+			cwd: path.resolve(flags.cwd),
+		}),
+		preserve: resolvePreserve(flags),
+
+		/**
+		Find the files to copy, with their destinations rewritten, symbolic links resolved as `--symlinks` asks, and conflicts resolved as `--on-conflict` asks.
+
+		@param {typeof findFiles} [find] - The first run can share the globbing with the other destinations, see `runCopyToDestinations`.
+		@returns {Promise<{files: import('./plan.js').PlannedFile[], skipped: ReturnType<typeof resolveConflicts>['skipped'], conflicts: ReturnType<typeof resolveConflicts>['conflicts']}>}
+		*/
+		async findMatchingFiles(find = findFiles) {
+			if (flags.dirsOnly) {
+				return {files: [], skipped: [], conflicts: []};
+			}
+
+			if (flags.symlinks !== 'skip') {
+				assertNoSymbolicLinkCycles(input, {cwd: flags.cwd, toDisplayPath});
+			}
+
+			// `cpy` refuses a directory without files, which only has its directories to copy.
+			const patterns = shouldCreateDirectories
+				? input.filter(pattern => !isDirectoryWithoutFiles(pattern, {cwd: flags.cwd, dot: flags.dot, followSymbolicLinks: flags.symlinks !== 'skip'}))
+				: input;
+
+			let files = patterns === input || patterns.some(pattern => !pattern.startsWith('!'))
+				? await find(patterns, destination, {
+					...cpyOptions,
+					followSymbolicLinks: flags.symlinks !== 'skip',
+				})
+				: [];
+
+			if (rewriteDestination) {
+				files = files.map(file => ({...file, destinationPath: rewriteDestination(file.destinationPath)}));
+			}
+
+			if (archiveSources.hasArchives) {
+				files = files.map(file => ({...file, relativePath: path.relative(flags.cwd, toDisplayPath(file.sourcePath))}));
+			}
+
+			if (flags.symlinks === 'preserve') {
+				files = preserveSymbolicLinks(files, input, {cwd: flags.cwd});
+			}
+
+			// Last, as the conflicts are about where the files end up.
+			let skipped = [];
+			let conflicts = [];
+			if (flags.onConflict !== undefined) {
+				({files, skipped, conflicts} = resolveConflicts(files, flags.onConflict));
+			}
+
+			if (flags.delete) {
+				const sourceInDestination = files.find(({sourcePath}) => isWithin(destinationRoot, sourcePath));
+
+				// Mirroring would delete such a source right after copying it.
+				if (sourceInDestination) {
+					throw new CliError(`Refusing to delete from \`${destination}\` as it contains the source \`${sourceInDestination.relativePath}\``);
+				}
+			}
+
+			return {files, skipped, conflicts};
+		},
+
+		/**
+		Find the directories to create with `--include-empty-dirs` and `--dirs-only`.
+
+		@returns {Promise<import('./directories.js').PlannedDirectory[]>}
+		*/
+		async findMatchingDirectories() {
+			if (!shouldCreateDirectories) {
+				return [];
+			}
+
+			const directories = await findDirectories(input, destinationRoot, {
+				...cpyOptions,
+				// A preserved link to a directory is recreated as a link, so the directories in it are not.
+				followSymbolicLinks: flags.symlinks === 'follow',
+			});
+
+			return rewriteDestination
+				? directories.map(directory => ({...directory, destinationPath: rewriteDestination(directory.destinationPath)}))
+				: directories;
+		},
+	};
+}
@@ -0,0 +1,172 @@
+import path from 'node:path';
+import {findExtraneousFiles, removeEmptyDirectories, removeFiles} from './mirror.js';
+import {getPatternRoot, isWithin} from './utilities.js';
+import {selectFiles} from './plan.js';
+import copyFiles from './copy.js';
+import {getBackupPatterns} from './backup.js';
+
+/**
+Copy the planned files of a copy the way its flags ask, and delete what the sources no longer have with `--delete`.
+
+@param {import('./context.js').CopyContext} context
+@param {object} options
+@param {ReturnType<import('./prompt.js').default>} [options.overwritePrompt] - Asks before each overwrite with `--interactive`.
+*/
+export default function createCopier(context, {overwritePrompt}) {
+	const {flags, input, destinationRoot, shouldUseUpdate, checksumCache, backup, backupOptions} = context;
+
+	// Up to the directories the patterns start in, which are kept even when empty.
+	const pruneSourceDirectories = movedFiles => {
+		const roots = input
+			.filter(pattern => !pattern.startsWith('!'))
+			.map(pattern => getPatternRoot(pattern, flags.cwd))
+			.sort((a, b) => b.length - a.length);
+
+		for (const {sourcePath} of movedFiles) {
+			const root = roots.find(root => isWithin(root, sourcePath));
+			if (root !== undefined) {
+				removeEmptyDirectories([path.dirname(sourcePath)], root);
+			}
+		}
+	};
+
+	/**
+	Select the files that pass the filters and `--update`, and that the prompt confirms.
+
+	@param {import('./plan.js').PlannedFile[]} files
+	@returns {Promise<{selected: import('./plan.js').PlannedFile[], skipped: Array<{file: import('./plan.js').PlannedFile, action: string}>}>} The files to copy, and the ones that were skipped, with why.
+	*/
+	const selectMatchingFiles = async files => {
+		const {selected, skipped} = await selectFiles(files, {
+			filter: context.filter,
+			ignoreExisting: flags.ignoreExisting,
+			update: shouldUseUpdate,
+			checksum: checksumCache,
+			link: flags.link,
+			transform: context.transform,
+		});
+
+		// Only asks about the files that would really be overwritten, so after `--update` has had its say.
+		const {confirmed, declined} = overwritePrompt ? await overwritePrompt.confirm(selected) : {confirmed: selected, declined: []};
+		skipped.push(...declined.map(file => ({file, action: 'skipped-declined'})));
+
+		return {selected: confirmed, skipped};
+	};
+
+	/**
+	The options to copy the selected files with, and what is left to do once they are copied.
+
+	@param {Partial<Parameters<typeof copyFiles>[1]>} options - Like `onCopied` and `onProgress`.
+	@returns {{options: Parameters<typeof copyFiles>[1], finish: () => void}}
+	*/
+	const prepareCopy = options => {
+		const copiedFiles = [];
+
+		return {
+			options: {
+				overwrite: flags.overwrite,
+				ignoreExisting: flags.ignoreExisting,
+				dryRun: flags.dryRun,
+				concurrency: flags.concurrency,
+				preserve: context.preserve,
+				move: flags.move,
+				atomic: flags.atomic,
+				verify: flags.verify,
+				reflink: flags.reflink,
+				link: flags.link,
+				backup,
+				transform: context.transform,
+				...options,
+				async onCopied(file) {
+					if (!flags.dryRun) {
+						await checksumCache?.recordCopy(file.sourcePath, file.destinationPath, {isTransformed: context.transform?.(file) !== undefined});
+					}
+
+					copiedFiles.push(file);
+					options.onCopied?.(file);
+				},
+			},
+			finish() {
+				if (!flags.dryRun) {
+					checksumCache?.save();
+				}
+
+				if (flags.pruneSources && !flags.dryRun) {
+					pruneSourceDirectories(copiedFiles);
+				}
+			},
+		};
+	};
+
+	/**
+	Copy the files that pass the filters and `--update`, and that the prompt confirms.
+
+	@param {import('./plan.js').PlannedFile[]} files
+	@param {Partial<Parameters<typeof copyFiles>[1]>} options - Like `onCopied` and `onProgress`.
+	@returns {Promise<Array<{file: import('./plan.js').PlannedFile, action: string}>>} The files that were skipped, with why.
+	*/
+	const copyMatchingFiles = async (files, options) => {
+		const {selected, skipped} = await selectMatchingFiles(files);
+		const copy = prepareCopy(options);
+		await copyFiles(selected, copy.options);
+		copy.finish();
+		return skipped;
+	};
+
+	/**
+	Remove the files in the destination that none of the matched files is copied to, except for the protected ones.
+
+	@param {import('./plan.js').PlannedFile[]} matchedFiles
+	@param {(filePath: string) => void} onRemove - Called for each file, also with `--dry-run`.
+	*/
+	const deleteExtraneousFiles = async (matchedFiles, onRemove) => {
+		const expectedPaths = new Set(matchedFiles.map(({destinationPath}) => destinationPath));
+		if (checksumCache?.path) {
+			expectedPaths.add(checksumCache.path);
+		}
+
+		const extraneousFiles = await findExtraneousFiles(destinationRoot, expectedPaths, {
+			protect: backup ? [...flags.protect, ...getBackupPatterns(backupOptions)] : flags.protect,
+		});
+
+		for (const file of extraneousFiles) {
+			onRemove(file);
+		}
+
+		if (!flags.dryRun) {
+			removeFiles(extraneousFiles, destinationRoot);
+		}
+	};
+
+	return {
+		selectMatchingFiles,
+		prepareCopy,
+		copyMatchingFiles,
+		deleteExtraneousFiles,
+	};
+}
+
+/**
+Copy the selected files of several destinations at once, so a source that goes to several of them is only read once. Each file is copied with the options of its own destination.
+
+@param {Array<{copier: ReturnType<typeof createCopier>, files: import('./plan.js').PlannedFile[], options: Partial<Parameters<typeof copyFiles>[1]>}>} copies
+*/
+export async function copyToDestinations(copies) {
+	const preparedCopies = copies.map(({copier, files, options}) => ({files, ...copier.prepareCopy(options)}));
+	const optionsByFile = new Map(preparedCopies.flatMap(({files, options}) => files.map(file => [file, options])));
+	const optionsByDestination = new Map(preparedCopies.flatMap(({files, options}) => files.map(file => [file.destinationPath, options])));
+
+	// The flags are the same for all destinations, only what belongs to a destination differs.
+	const [{options}] = preparedCopies;
+	await copyFiles(preparedCopies.flatMap(({files}) => files), {
+		...options,
+		backup: options.backup && ((destinationPath, backupOptions) => optionsByDestination.get(destinationPath).backup(destinationPath, backupOptions)),
+		transform: options.transform && (file => optionsByFile.get(file).transform(file)),
+		onCopied: file => optionsByFile.get(file).onCopied(file),
+		onSkipped: file => optionsByFile.get(file).onSkipped?.(file),
+	});
+
+	for (const {finish} of preparedCopies) {
+		finish();
+	}
+}
@@ -0,0 +1,678 @@
+import path from 'node:path';
+import process from 'node:process';
+import crypto from 'node:crypto';
+import {
+	rmSync,
+	createReadStream,
+	createWriteStream,
+	constants as fsConstants,
+} from 'node:fs';
+import fs from 'node:fs/promises';
+import {PassThrough, Transform} from 'node:stream';
+import {pipeline} from 'node:stream/promises';
+import {copyFile} from 'copy-file';
+import pMap from 'p-map';
+import CliError, {createCopyError} from './cli-error.js';
+import {hashFile} from './checksum.js';
+
+/**
+Detect a destination that is the same file as the source even though the paths differ, for example through a symlink or a hard link. Copying a file onto itself truncates it.
+
+@param {string} sourcePath
+@param {string} destinationPath
+@returns {Promise<boolean>}
+*/
+export const isSameFileOnDisk = async (sourcePath, destinationPath) => {
+	try {
+		// The destination first, as it usually does not exist yet.
+		const destinationStats = await fs.stat(destinationPath, {bigint: true});
+		const sourceStats = await fs.stat(sourcePath, {bigint: true});
+
+		// Some Windows filesystems report the inode number as 0, and there is nothing to compare then.
+		return destinationStats.ino !== 0n
+			&& destinationStats.dev === sourceStats.dev
+			&& destinationStats.ino === sourceStats.ino;
+	} catch {
+		return false;
+	}
+};
+
+/**
+@param {import('./plan.js').PlannedFile} file
+*/
+export const assertNotSameFileOnDisk = async ({sourcePath, destinationPath}) => {
+	if (await isSameFileOnDisk(sourcePath, destinationPath)) {
+		throw new CliError(`Refusing to copy to itself: \`${sourcePath}\` is the same file as \`${destinationPath}\``);
+	}
+};
+
+/**
+The attributes that `--preserve` can keep.
+*/
+export const preservableAttributes = ['timestamps', 'mode', 'ownership'];
+
+/**
+Parse a comma-separated `--preserve` list. An empty list keeps everything, like `cp -p`.
+
+@param {string} value
+@returns {Set<string>}
+*/
+export const parsePreserve = value => {
+	const attributes = value.split(',').map(attribute => attribute.trim()).filter(Boolean);
+
+	for (const attribute of attributes) {
+		if (!preservableAttributes.includes(attribute)) {
+			throw new CliError(`Unknown --preserve attribute \`${attribute}\`, expected one of: ${preservableAttributes.join(', ')}`);
+		}
+	}
+
+	return new Set(attributes.length === 0 ? preservableAttributes : attributes);
+};
+
+/**
+`copy-file` already keeps the mode and the timestamps, but through a `Date`, which drops the sub-millisecond part. So the timestamps are set again from the nanoseconds, which is as close as `fs.utimes` gets.
+
+Changing the owner clears the setuid and setgid bits, so the mode is set again after it.
+*/
+const preserveMetadata = async (sourceStats, destinationPath, preserve) => {
+	if (preserve.has('ownership')) {
+		try {
+			await fs.chown(destinationPath, Number(sourceStats.uid), Number(sourceStats.gid));
+		} catch (error) {
+			// Only root can give a file away, so keep what is allowed, like `cp -p`.
+			if (error.code !== 'EPERM') {
+				throw error;
+			}
+		}
+
+		await fs.chmod(destinationPath, Number(sourceStats.mode));
+	}
+
+	if (preserve.has('timestamps')) {
+		await fs.utimes(destinationPath, Number(sourceStats.atimeNs) / 1e9, Number(sourceStats.mtimeNs) / 1e9);
+	}
+};
+
+/**
+Recreate a symbolic link, replacing what is at the destination unless `overwrite` is off, like `copy-file` does for files.
+*/
+const copySymbolicLink = async ({destinationPath, linkTarget}, {overwrite, atomic}) => {
+	await fs.mkdir(path.dirname(destinationPath), {recursive: true});
+
+	if (atomic) {
+		await writeAtomically(destinationPath, {overwrite}, temporaryPath => fs.symlink(linkTarget, temporaryPath));
+		return;
+	}
+
+	if (overwrite) {
+		try {
+			await fs.unlink(destinationPath);
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				throw error;
+			}
+		}
+	}
+
+	await fs.symlink(linkTarget, destinationPath);
+};
+
+// The temporary files being written right now, to remove when the process is interrupted.
+const temporaryFiles = new Set();
+
+const removeTemporaryFiles = () => {
+	for (const temporaryPath of temporaryFiles) {
+		rmSync(temporaryPath, {force: true});
+	}
+};
+
+const removeTemporaryFilesOnSignal = signal => {
+	removeTemporaryFiles();
+
+	// The listener is gone already, so this ends the process the way the signal would have.
+	process.kill(process.pid, signal);
+};
+
+/**
+Write a file next to the destination and only rename it into place once it is complete, so nothing ever sees it half-written.
+
+Without `overwrite`, it is hard linked into place instead, which fails when the destination exists, and then removed.
+
+@param {string} destinationPath
+@param {{overwrite: boolean}} options
+@param {(temporaryPath: string) => Promise<T>} write
+@returns {Promise<T>} What `write` returns.
+@template T
+*/
+const writeAtomically = async (destinationPath, {overwrite}, write) => {
+	const temporaryPath = path.join(path.dirname(destinationPath), `.${path.basename(destinationPath)}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+	temporaryFiles.add(temporaryPath);
+
+	try {
+		const result = await write(temporaryPath);
+
+		if (overwrite) {
+			await fs.rename(temporaryPath, destinationPath);
+		} else {
+			await fs.link(temporaryPath, destinationPath);
+			await fs.unlink(temporaryPath);
+		}
+
+		return result;
+	} catch (error) {
+		await fs.rm(temporaryPath, {force: true});
+		throw error;
+	} finally {
+		temporaryFiles.delete(temporaryPath);
+	}
+};
+
+const verificationAlgorithm = 'sha256';
+
+/**
+@param {string} filePath
+@returns {Promise<{size: number, digest: string}>}
+*/
+const readContents = async filePath => {
+	const [{size}, digest] = await Promise.all([fs.stat(filePath), hashFile(filePath, verificationAlgorithm)]);
+	return {size, digest};
+};
+
+/**
+Hash what passes through, which is what a transform writes, as there is no file to compare it with.
+*/
+const createContentsRecorder = () => {
+	const hash = crypto.createHash(verificationAlgorithm);
+	let size = 0;
+
+	return {
+		stream: new Transform({
+			transform(chunk, _encoding, callback) {
+				hash.update(chunk);
+				size += chunk.length;
+				callback(undefined, chunk);
+			},
+		}),
+		getContents: () => ({size, digest: hash.digest('hex')}),
+	};
+};
+
+const isSameContents = async (sourcePath, destinationPath, writtenContents) => {
+	const [expected, actual] = await Promise.all([writtenContents ?? readContents(sourcePath), readContents(destinationPath)]);
+	return expected.size === actual.size && expected.digest === actual.digest;
+};
+
+/**
+Compare a copy with its source, and copy it once more when they differ, as a flaky volume may well get it right the second time.
+
+@param {string} sourcePath
+@param {string} destinationPath
+@param {{size: number, digest: string} | undefined} writtenContents - What a transform wrote, to compare with instead of the source.
+@param {() => Promise<{size: number, digest: string} | undefined>} rewrite - Copies again, returning what a transform wrote.
+@returns {Promise<boolean>} Whether the copy is the same as the source in the end.
+*/
+const verifyCopy = async (sourcePath, destinationPath, writtenContents, rewrite) => {
+	if (await isSameContents(sourcePath, destinationPath, writtenContents)) {
+		return true;
+	}
+
+	return isSameContents(sourcePath, destinationPath, await rewrite());
+};
+
+/**
+Write the source through the transform streams, keeping its mode and timestamps like `copy-file` does.
+
+@param {() => import('node:stream').Readable} openSource - Opens the contents of the source, which its other destinations may share, so it is only opened once it is sure to be read.
+@param {string} destinationPath
+@param {import('node:stream').Transform[]} streams
+@param {{overwrite: boolean, sourceStats: import('node:fs').BigIntStats}} options
+*/
+const writeTransformed = async (openSource, destinationPath, streams, {overwrite, sourceStats}) => {
+	await fs.mkdir(path.dirname(destinationPath), {recursive: true});
+	await pipeline(openSource(), ...streams, createWriteStream(destinationPath, {flags: overwrite ? 'w' : 'wx'}));
+	await fs.chmod(destinationPath, Number(sourceStats.mode));
+	await fs.utimes(destinationPath, sourceStats.atime, sourceStats.mtime);
+};
+
+/**
+Read a source once for all the destinations it is copied to.
+
+Each destination enters it, and the reading only starts once all of them have opened it or left, so none misses the start. It then goes at the pace of the slowest, and a destination that fails no longer holds back the others.
+
+@param {string} sourcePath
+@param {number} count - How many destinations enter it.
+*/
+const createSharedRead = (sourcePath, count) => {
+	const branches = [];
+	let remaining = count;
+
+	const start = () => {
+		// A destination can fail before the reading starts.
+		const openBranches = branches.filter(branch => !branch.destroyed);
+		if (openBranches.length === 0) {
+			return;
+		}
+
+		const readStream = createReadStream(sourcePath);
+		readStream.once('error', error => {
+			for (const branch of openBranches) {
+				branch.destroy(error);
+			}
+		});
+
+		let remainingBranches = openBranches.length;
+		for (const branch of openBranches) {
+			// A failed destination is unpiped by its close, and the file is closed once there is none left to read for.
+			branch.once('close', () => {
+				remainingBranches--;
+				if (remainingBranches === 0) {
+					readStream.destroy();
+				}
+			});
+
+			readStream.pipe(branch);
+		}
+	};
+
+	const settle = () => {
+		remaining--;
+		if (remaining === 0) {
+			start();
+		}
+	};
+
+	return {
+		/**
+		@returns {{open: () => import('node:stream').Readable, leave: () => void}} `open` gives the shared contents the first time, and a read of its own after that, like to copy again with `verify`. `leave` is for a destination that ends up not reading the source, and does nothing once it is opened.
+		*/
+		enter() {
+			let isPending = true;
+
+			return {
+				open() {
+					if (!isPending) {
+						return createReadStream(sourcePath);
+					}
+
+					isPending = false;
+					const branch = new PassThrough();
+					branches.push(branch);
+					settle();
+					return branch;
+				},
+				leave() {
+					if (isPending) {
+						isPending = false;
+						settle();
+					}
+				},
+			};
+		},
+	};
+};
+
+/**
+Like `Promise.all`, but only fails once all are done, so the copies of a source to the other destinations are complete when one fails.
+*/
+const settleAll = async promises => {
+	const results = await Promise.allSettled(promises);
+	const failure = results.find(({status}) => status === 'rejected');
+	if (failure !== undefined) {
+		throw failure.reason;
+	}
+};
+
+/**
+@param {import('./plan.js').PlannedFile[]} files
+@returns {Array<import('./plan.js').PlannedFile[]>} The files by their source, in the order of the first of each.
+*/
+const groupBySource = files => {
+	const filesBySource = new Map();
+	for (const file of files) {
+		filesBySource.set(file.sourcePath, [...filesBySource.get(file.sourcePath) ?? [], file]);
+	}
+
+	return [...filesBySource.values()];
+};
+
+/**
+The ways `--reflink` can clone files.
+*/
+export const reflinkModes = ['auto', 'always', 'never'];
+
+/**
+Clone a file with copy-on-write, so it shares the data with the source until either changes. With `force`, it fails on a filesystem that cannot, and it falls back to copying otherwise.
+
+@param {string} sourcePath
+@param {string} destinationPath
+@param {{overwrite: boolean, force: boolean, sourceStats: import('node:fs').BigIntStats}} options
+*/
+const cloneFile = async (sourcePath, destinationPath, {overwrite, force, sourceStats}) => {
+	await fs.mkdir(path.dirname(destinationPath), {recursive: true});
+
+	try {
+		// eslint-disable-next-line no-bitwise
+		await fs.copyFile(sourcePath, destinationPath, (force ? fsConstants.COPYFILE_FICLONE_FORCE : fsConstants.COPYFILE_FICLONE) | (overwrite ? 0 : fsConstants.COPYFILE_EXCL));
+	} catch (error) {
+		if (force && ['ENOTSUP', 'EOPNOTSUPP', 'ENOSYS', 'EXDEV', 'EINVAL'].includes(error.code)) {
+			throw new Error(`The filesystem cannot clone it, use --reflink=auto to copy it instead (${error.code})`, {cause: error});
+		}
+
+		throw error;
+	}
+
+	// Like `copy-file` does.
+	await fs.chmod(destinationPath, Number(sourceStats.mode));
+	await fs.utimes(destinationPath, sourceStats.atime, sourceStats.mtime);
+};
+
+/**
+@param {string} sourcePath
+@param {string} destinationPath
+@param {{reflink: 'auto' | 'always' | 'never', overwrite: boolean, sourceStats: import('node:fs').BigIntStats}} options
+*/
+const copyWithReflink = (sourcePath, destinationPath, {reflink, overwrite, sourceStats}) => reflink === 'never'
+	// Streaming, as `fs.copyFile` lets the kernel clone on its own.
+	? writeTransformed(() => createReadStream(sourcePath), destinationPath, [], {overwrite, sourceStats})
+	: cloneFile(sourcePath, destinationPath, {overwrite, force: reflink === 'always', sourceStats});
+
+/**
+Hard link a file, replacing the destination with a rename like `atomic` does, so it is never missing in between.
+
+@param {string} sourcePath
+@param {string} destinationPath
+@param {{overwrite: boolean}} options
+*/
+const linkFile = async (sourcePath, destinationPath, {overwrite}) => {
+	await fs.mkdir(path.dirname(destinationPath), {recursive: true});
+
+	try {
+		await writeAtomically(destinationPath, {overwrite}, temporaryPath => fs.link(sourcePath, temporaryPath));
+	} catch (error) {
+		if (error.code === 'EXDEV') {
+			throw new Error('A hard link cannot go to another filesystem, copy it without --link instead', {cause: error});
+		}
+
+		throw error;
+	}
+};
+
+/**
+Move a file with a rename, which is only possible on the same filesystem.
+
+@returns {Promise<boolean>} Whether it was moved.
+*/
+const renameFile = async ({sourcePath, destinationPath}) => {
+	await fs.mkdir(path.dirname(destinationPath), {recursive: true});
+
+	try {
+		await fs.rename(sourcePath, destinationPath);
+	} catch (error) {
+		if (error.code === 'EXDEV') {
+			return false;
+		}
+
+		throw error;
+	}
+
+	return true;
+};
+
+/**
+Copy the selected files.
+
+@param {import('./plan.js').PlannedFile[]} files
+@param {object} options
+@param {boolean} [options.overwrite]
+@param {boolean} [options.ignoreExisting] - Skip a destination that appeared since the files were selected, instead of failing.
+@param {boolean} [options.dryRun] - Only report the files.
+@param {number} [options.concurrency]
+@param {Set<string>} [options.preserve] - The attributes to keep, see `parsePreserve`.
+@param {boolean} [options.move] - Remove each source once all its destinations are written.
+@param {boolean} [options.atomic] - Write each file to a temporary file next to the destination and rename it into place.
+@param {'auto' | 'always' | 'never'} [options.reflink] - Clone the files with copy-on-write, if the filesystem can, only with it, or never. Without it, the platform decides.
+@param {boolean} [options.link] - Hard link the files instead of copying them.
+@param {boolean} [options.verify] - Read each destination back and compare it with the source, copying it once more when they differ. Fails with the copies that still differ after that, once all files are done.
+@param {ReturnType<import('./backup.js').default>} [options.backup] - Back up a destination before it is overwritten.
+@param {Awaited<ReturnType<import('./transform.js').default>>} [options.transform] - Rewrite the contents of the files it returns streams for.
+@param {(progress: import('cpy').ProgressData) => void} [options.onProgress]
+@param {(file: import('./plan.js').PlannedFile) => void | Promise<void>} [options.onCopied]
+@param {(file: import('./plan.js').PlannedFile) => void} [options.onSkipped]
+*/
+export default async function copyFiles(files, {
+	overwrite = true,
+	ignoreExisting = false,
+	dryRun = false,
+	concurrency,
+	preserve = new Set(),
+	move = false,
+	atomic = false,
+	verify = false,
+	reflink,
+	link = false,
+	backup,
+	transform,
+	onProgress,
+	onCopied,
+	onSkipped,
+} = {}) {
+	let completedFiles = 0;
+	let completedSize = 0;
+	const writtenBytesByFile = new Map();
+
+	const reportProgress = (file, writtenBytes) => {
+		completedSize += writtenBytes - (writtenBytesByFile.get(file) ?? 0);
+		writtenBytesByFile.set(file, writtenBytes);
+
+		onProgress?.({
+			totalFiles: files.length,
+			percent: completedFiles / files.length,
+			completedFiles,
+			completedSize,
+			sourcePath: file.sourcePath,
+			destinationPath: file.destinationPath,
+		});
+	};
+
+	// A source can map to several destinations, and is only removed after the last of them. They are counted by the file that is read, so a symbolic link and its target that are both matched count as one, and the target is neither renamed away nor removed before the link is copied.
+	const readPaths = new Map();
+	const remainingCopies = new Map();
+	const sourcePathsByReadPath = new Map();
+	if (move) {
+		await pMap(files, async file => {
+			let readPath = file.sourcePath;
+			if (file.linkTarget === undefined) {
+				try {
+					readPath = await fs.realpath(file.sourcePath);
+				} catch {
+					// Copying it fails then, with a better error.
+				}
+			}
+
+			readPaths.set(file, readPath);
+		}, {concurrency: 1024});
+
+		for (const file of files) {
+			const readPath = readPaths.get(file);
+			remainingCopies.set(readPath, (remainingCopies.get(readPath) ?? 0) + 1);
+			sourcePathsByReadPath.set(readPath, (sourcePathsByReadPath.get(readPath) ?? new Set()).add(file.sourcePath));
+		}
+	}
+
+	const removeMovedSource = async file => {
+		const readPath = readPaths.get(file);
+		remainingCopies.set(readPath, remainingCopies.get(readPath) - 1);
+		if (remainingCopies.get(readPath) === 0) {
+			await Promise.all([...sourcePathsByReadPath.get(readPath)].map(sourcePath => fs.unlink(sourcePath)));
+		}
+	};
+
+	// Whether an existing destination is replaced.
+	const shouldReplace = overwrite && !ignoreExisting;
+
+	/**
+	@param {import('./plan.js').PlannedFile} file
+	@param {ReturnType<ReturnType<typeof createSharedRead>['enter']>} [sharedSource] - The read of the source that its other destinations share.
+	@returns {Promise<'renamed' | 'copied' | 'corrupted'>} Whether the source was moved with a rename, or copied, and then whether the copy still differs from it with `verify`.
+	*/
+	const writeFile = async (file, sharedSource) => {
+		if (backup && shouldReplace) {
+			await backup(file.destinationPath, {keepInPlace: atomic});
+		}
+
+		if (file.linkTarget !== undefined) {
+			await copySymbolicLink(file, {overwrite: shouldReplace, atomic});
+			return 'copied';
+		}
+
+		// `copy-file` refuses a symbolic link as the source, so it gets what the link points to.
+		const sourcePath = await fs.realpath(file.sourcePath);
+		const transformStreams = transform?.(file);
+
+		// A rename does not check for an existing destination, and would move a link instead of what it points to.
+		const canRename = move
+			&& shouldReplace
+			&& sourcePath === file.sourcePath
+			&& remainingCopies.get(readPaths.get(file)) === 1
+			&& transformStreams === undefined;
+
+		if (canRename && await renameFile(file)) {
+			return 'renamed';
+		}
+
+		// The destination is the source itself then, so there is nothing to verify.
+		if (link) {
+			await linkFile(sourcePath, file.destinationPath, {overwrite: shouldReplace});
+			const {size} = await fs.stat(sourcePath);
+			reportProgress(file, size);
+			return 'copied';
+		}
+
+		// Before copying, as reading the source can change its access time.
+		const sourceStats = preserve.size > 0 || transformStreams || reflink || sharedSource ? await fs.stat(sourcePath, {bigint: true}) : undefined;
+
+		/**
+		@returns {Promise<{size: number, digest: string} | undefined>} What a transform wrote, with `verify`.
+		*/
+		const copyTo = async (destinationPath, streams, {overwrite}) => {
+			// A clone does not read the source, so it is the only one that does not take the shared read.
+			if (streams || (sharedSource && reflink !== 'auto' && reflink !== 'always')) {
+				const recorder = verify ? createContentsRecorder() : undefined;
+				const allStreams = streams ?? [];
+				await writeTransformed(() => sharedSource?.open() ?? createReadStream(sourcePath), destinationPath, recorder ? [...allStreams, recorder.stream] : allStreams, {overwrite, sourceStats});
+				if (!streams) {
+					reportProgress(file, Number(sourceStats.size));
+				}
+
+				await preserveMetadata(sourceStats, destinationPath, preserve);
+				return recorder?.getContents();
+			}
+
+			// A transformed file is written anew, so only an untransformed one can be cloned.
+			if (reflink) {
+				await copyWithReflink(sourcePath, destinationPath, {reflink, overwrite, sourceStats});
+				reportProgress(file, Number(sourceStats.size));
+				await preserveMetadata(sourceStats, destinationPath, preserve);
+				return;
+			}
+
+			// Progress forces `copy-file` to stream instead of using the much faster `fs.copyFile`, so only ask for it when someone is listening.
+			await copyFile(sourcePath, destinationPath, {
+				overwrite,
+				onProgress: onProgress
+					? ({writtenBytes}) => {
+						reportProgress(file, writtenBytes);
+					}
+					: undefined,
+			});
+
+			if (sourceStats) {
+				await preserveMetadata(sourceStats, destinationPath, preserve);
+			}
+		};
+
+		// A transform can fail halfway, like on an unset variable, so its output only replaces the destination once it is complete.
+		const write = (streams, {overwrite}) => atomic || streams
+			? writeAtomically(file.destinationPath, {overwrite}, temporaryPath => copyTo(temporaryPath, streams, {overwrite: true}))
+			: copyTo(file.destinationPath, streams, {overwrite});
+
+		const writtenContents = await write(transformStreams, {overwrite: shouldReplace});
+		if (!verify) {
+			return 'copied';
+		}
+
+		// The destination is this copy now, so copying again overwrites it.
+		const isIntact = await verifyCopy(sourcePath, file.destinationPath, writtenContents, () => write(transformStreams && transform(file), {overwrite: true}));
+
+		return isIntact ? 'copied' : 'corrupted';
+	};
+
+	const corruptedFiles = [];
+
+	if ((atomic || transform) && !dryRun) {
+		process.once('SIGINT', removeTemporaryFilesOnSignal);
+		process.once('SIGTERM', removeTemporaryFilesOnSignal);
+		process.once('exit', removeTemporaryFiles);
+	}
+
+	const copySingleFile = async (file, sharedSource) => {
+		// Before the `dryRun` return below, so a dry run reports what a real run would do.
+		await assertNotSameFileOnDisk(file);
+
+		if (!dryRun) {
+			try {
+				const result = await writeFile(file, sharedSource);
+
+				// Kept like a failed copy, which is reported once the others are done.
+				if (result === 'corrupted') {
+					corruptedFiles.push(file);
+					return;
+				}
+
+				// Only once the destination is written, so a failed copy never loses the source.
+				if (move && result !== 'renamed') {
+					await removeMovedSource(file);
+				}
+			} catch (error) {
+				if (ignoreExisting && (error.code === 'EEXIST' || error.code === 'EISDIR')) {
+					onSkipped?.(file);
+					return;
+				}
+
+				throw createCopyError(file, error);
+			}
+		}
+
+		completedFiles++;
+		reportProgress(file, writtenBytesByFile.get(file) ?? 0);
+		await onCopied?.(file);
+	};
+
+	try {
+		// The destinations of a source are written together, from a single read of it.
+		await pMap(groupBySource(files), sourceFiles => {
+			const sharedRead = sourceFiles.length > 1 && !dryRun ? createSharedRead(sourceFiles[0].sourcePath, sourceFiles.length) : undefined;
+			return settleAll(sourceFiles.map(async file => {
+				const sharedSource = sharedRead?.enter();
+
+				try {
+					await copySingleFile(file, sharedSource);
+				} finally {
+					// However it ended, so the other destinations do not wait for it.
+					sharedSource?.leave();
+				}
+			}));
+		}, {concurrency});
+
+		// Kept after a failure, as the other copies are still running then.
+		process.removeListener('exit', removeTemporaryFiles);
+	} finally {
+		process.removeListener('SIGINT', removeTemporaryFilesOnSignal);
+		process.removeListener('SIGTERM', removeTemporaryFilesOnSignal);
+	}
+
+	if (corruptedFiles.length > 0) {
+		const list = corruptedFiles.map(file => `  \`${file.relativePath}\` to \`${file.destinationPath}\``).join('\n');
+		throw new CliError(`${corruptedFiles.length === 1 ? 'A copy differs' : `${corruptedFiles.length} copies differ`} from the source even after copying again:\n${list}`);
+	}
+}
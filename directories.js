@@ -0,0 +1,152 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import {
+	globby,
+	globbySync,
+	convertPathToPattern,
+	isDynamicPattern,
+} from 'globby';
+import {isWithin} from './utilities.js';
+
+/**
+@typedef {object} PlannedDirectory
+@property {string} sourcePath - Absolute path of the source directory.
+@property {string} destinationPath - Absolute path the directory is created at.
+@property {string} relativePath - Source path relative to `cwd`, for messages.
+*/
+
+const isDirectory = filePath => {
+	try {
+		return fs.statSync(filePath).isDirectory();
+	} catch {
+		return false;
+	}
+};
+
+const relativizeWithin = (base, filePath) => isWithin(base, filePath) ? path.relative(base, filePath) : undefined;
+
+// The static part of a glob, which is what `cpy` maps the matches relative to.
+const getGlobParent = (pattern, cwd) => {
+	const segments = pattern.replaceAll('\\', '/').split('/');
+	const magicIndex = segments.findIndex(segment => segment && isDynamicPattern(segment));
+	return path.resolve(cwd, segments.slice(0, magicIndex).join('/'));
+};
+
+/**
+Map a directory to the destination the way `cpy` maps the files in it, see `computeToForGlob` and `computeToForNonGlob` there.
+*/
+const getDestinationPath = (directory, pattern, destinationRoot, {cwd, base}) => {
+	if (isDynamicPattern(pattern)) {
+		const globParent = getGlobParent(pattern, cwd);
+		const relativeToGlobParent = relativizeWithin(globParent, directory);
+		const relativePath = base === 'cwd'
+			? relativizeWithin(cwd, directory) ?? (relativeToGlobParent === undefined ? undefined : path.join(path.basename(globParent), relativeToGlobParent))
+			: relativeToGlobParent ?? relativizeWithin(cwd, directory);
+		return path.join(destinationRoot, relativePath ?? path.basename(directory));
+	}
+
+	const patternDirectory = path.resolve(cwd, pattern);
+	if (base === 'pattern') {
+		return path.join(destinationRoot, path.relative(patternDirectory, directory));
+	}
+
+	const relativePath = relativizeWithin(cwd, directory)
+		?? path.join(path.basename(patternDirectory), path.relative(patternDirectory, directory));
+	return path.join(destinationRoot, relativePath);
+};
+
+/**
+Check whether a pattern is a directory without any file the options match in it, which `cpy` refuses as if it did not exist.
+
+@param {string} pattern
+@param {{cwd: string, dot?: boolean, followSymbolicLinks?: boolean}} options
+@returns {boolean}
+*/
+export const isDirectoryWithoutFiles = (pattern, {cwd, dot, followSymbolicLinks}) => {
+	if (pattern.startsWith('!') || isDynamicPattern(pattern)) {
+		return false;
+	}
+
+	const directory = path.resolve(cwd, pattern);
+	return isDirectory(directory) && globbySync(`${convertPathToPattern(directory)}/**`, {dot, followSymbolicLinks}).length === 0;
+};
+
+/**
+Find the directories the patterns match, including a directory given as a pattern itself, with the destination each is created at.
+
+@param {string[]} patterns
+@param {string} destinationRoot
+@param {object} options
+@param {string} options.cwd
+@param {'cwd' | 'pattern'} [options.base]
+@param {boolean} [options.dot]
+@param {boolean} [options.gitignore]
+@param {string[]} [options.ignoreFiles]
+@param {boolean} [options.followSymbolicLinks]
+@returns {Promise<PlannedDirectory[]>} Parents before their children.
+*/
+export async function findDirectories(patterns, destinationRoot, {cwd, base, dot, gitignore, ignoreFiles, followSymbolicLinks}) {
+	cwd = path.resolve(cwd);
+	const negatedPatterns = patterns.filter(pattern => pattern.startsWith('!'));
+	const directories = new Map();
+
+	for (const pattern of patterns.filter(pattern => !pattern.startsWith('!'))) {
+		const isStaticDirectory = !isDynamicPattern(pattern) && isDirectory(path.resolve(cwd, pattern));
+		if (!isDynamicPattern(pattern) && !isStaticDirectory) {
+			continue;
+		}
+
+		// eslint-disable-next-line no-await-in-loop
+		const matches = await globby([isStaticDirectory ? `${convertPathToPattern(pattern)}/**` : pattern, ...negatedPatterns], {
+			cwd,
+			absolute: true,
+			onlyDirectories: true,
+			dot,
+			gitignore,
+			ignoreFiles,
+			followSymbolicLinks,
+		});
+
+		if (isStaticDirectory) {
+			matches.unshift(path.resolve(cwd, pattern));
+		}
+
+		for (const match of matches) {
+			const sourcePath = path.resolve(match);
+			const destinationPath = getDestinationPath(sourcePath, pattern, destinationRoot, {cwd, base});
+			if (!directories.has(destinationPath)) {
+				directories.set(destinationPath, {sourcePath, destinationPath, relativePath: path.relative(cwd, sourcePath)});
+			}
+		}
+	}
+
+	return [...directories.values()].sort((a, b) => a.destinationPath.length - b.destinationPath.length);
+}
+
+/**
+Create the directories that do not exist yet.
+
+@param {PlannedDirectory[]} directories
+@param {object} options
+@param {boolean} [options.dryRun]
+@param {string[]} [options.copiedPaths] - Destinations of the copied files, whose directories exist once they are copied, which a dry run does not.
+@returns {Promise<PlannedDirectory[]>} The directories that were, or would be, created.
+*/
+export async function createDirectories(directories, {dryRun = false, copiedPaths = []} = {}) {
+	const createdDirectories = [];
+
+	for (const directory of directories) {
+		if (fs.existsSync(directory.destinationPath) || (dryRun && copiedPaths.some(copiedPath => isWithin(directory.destinationPath, copiedPath)))) {
+			continue;
+		}
+
+		if (!dryRun) {
+			// eslint-disable-next-line no-await-in-loop
+			await fs.promises.mkdir(directory.destinationPath, {recursive: true});
+		}
+
+		createdDirectories.push(directory);
+	}
+
+	return createdDirectories;
+}
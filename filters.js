@@ -0,0 +1,121 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import CliError from './cli-error.js';
+
+const sizeUnits = {
+	'': 1,
+	b: 1,
+	k: 1000,
+	kb: 1000,
+	ki: 1024,
+	kib: 1024,
+	m: 1000 ** 2,
+	mb: 1000 ** 2,
+	mi: 1024 ** 2,
+	mib: 1024 ** 2,
+	g: 1000 ** 3,
+	gb: 1000 ** 3,
+	gi: 1024 ** 3,
+	gib: 1024 ** 3,
+};
+
+/**
+Parse a size like `500`, `10k`, `1.5MB` or `2MiB` into bytes. The units without `i` are powers of 1000, like `pretty-bytes` shows them.
+
+@param {string} value
+@param {string} flag - For the error message.
+@returns {number}
+*/
+export const parseSize = (value, flag) => {
+	const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(String(value).trim());
+	const unit = match?.[2].toLowerCase();
+	if (!match || !Object.hasOwn(sizeUnits, unit)) {
+		throw new CliError(`Invalid size \`${value}\` for \`${flag}\`, expected a number of bytes like 500, 10k, 1.5MB or 2MiB`);
+	}
+
+	return Number(match[1]) * sizeUnits[unit];
+};
+
+const durationUnits = {
+	ms: 1,
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000,
+	w: 7 * 24 * 60 * 60 * 1000,
+};
+
+const parseDuration = value => {
+	if (!/^(?:\d+(?:\.\d+)?(?:ms|[smhdw]))+$/.test(value)) {
+		return;
+	}
+
+	let milliseconds = 0;
+	for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|[smhdw])/g)) {
+		milliseconds += Number(amount) * durationUnits[unit];
+	}
+
+	return milliseconds;
+};
+
+/**
+Parse the time of `--newer-than` or `--older-than`: the modification time of an existing file, a duration before now like `1d` or `2h30m`, or a date like `2024-05-01`.
+
+@param {string} value
+@param {string} flag - For the error message.
+@param {object} options
+@param {string} options.cwd
+@param {number} [options.now]
+@returns {number} Milliseconds since the epoch.
+*/
+export const parseTime = (value, flag, {cwd, now = Date.now()}) => {
+	const filePath = path.resolve(cwd, value);
+	if (fs.existsSync(filePath)) {
+		return fs.statSync(filePath).mtimeMs;
+	}
+
+	const duration = parseDuration(value);
+	if (duration !== undefined) {
+		return now - duration;
+	}
+
+	const date = Date.parse(value);
+	if (Number.isNaN(date)) {
+		throw new CliError(`Invalid time \`${value}\` for \`${flag}\`, expected a file, a duration like 1d or 2h30m, or a date like 2024-05-01`);
+	}
+
+	return date;
+};
+
+/**
+Create a predicate for the sources to copy from `--min-size`, `--max-size`, `--newer-than`, `--older-than` and `--files-only`.
+
+@param {object} flags
+@param {string} flags.cwd
+@returns {((file: import('./plan.js').PlannedFile) => Promise<boolean>) | undefined} `undefined` when there is nothing to filter on.
+*/
+export default function createFileFilter(flags) {
+	const {cwd} = flags;
+	const minimumSize = flags.minSize === undefined ? undefined : parseSize(flags.minSize, '--min-size');
+	const maximumSize = flags.maxSize === undefined ? undefined : parseSize(flags.maxSize, '--max-size');
+	const newerThan = flags.newerThan === undefined ? undefined : parseTime(flags.newerThan, '--newer-than', {cwd});
+	const olderThan = flags.olderThan === undefined ? undefined : parseTime(flags.olderThan, '--older-than', {cwd});
+
+	if ([minimumSize, maximumSize, newerThan, olderThan].every(value => value === undefined) && !flags.filesOnly) {
+		return;
+	}
+
+	return async file => {
+		const stats = await fs.promises.lstat(file.sourcePath);
+		if (flags.filesOnly && stats.isSymbolicLink()) {
+			return false;
+		}
+
+		const targetStats = stats.isSymbolicLink() ? await fs.promises.stat(file.sourcePath) : stats;
+
+		return (minimumSize === undefined || targetStats.size >= minimumSize)
+			&& (maximumSize === undefined || targetStats.size <= maximumSize)
+			&& (newerThan === undefined || targetStats.mtimeMs > newerThan)
+			&& (olderThan === undefined || targetStats.mtimeMs < olderThan);
+	};
+}
@@ -0,0 +1,73 @@
+import process from 'node:process';
+import meow from 'meow';
+import run, {flagDefinitions, normalizeArguments} from './run.js';
+import {resolveApiOptions} from './config.js';
+
+const noop = () => {};
+
+const parseArguments = arguments_ => {
+	// `meow` names the process after the binary, which is not for a library to do.
+	const {title} = process;
+
+	try {
+		const {input, flags} = meow({
+			importMeta: import.meta,
+			argv: normalizeArguments(arguments_),
+			flags: flagDefinitions,
+			autoHelp: false,
+			autoVersion: false,
+		});
+
+		return {input, flags};
+	} finally {
+		process.title = title;
+	}
+};
+
+const resolveInput = argumentsOrOptions => {
+	if (Array.isArray(argumentsOrOptions)) {
+		return parseArguments(argumentsOrOptions);
+	}
+
+	if (argumentsOrOptions === null || typeof argumentsOrOptions !== 'object') {
+		throw new TypeError(`Expected an array of arguments or an object of options, got \`${argumentsOrOptions}\` (${typeof argumentsOrOptions})`);
+	}
+
+	return resolveApiOptions(argumentsOrOptions, {flagDefinitions, flags: parseArguments([]).flags});
+};
+
+/**
+Copy files exactly like the `cpy` command does, including copying a single file to a file path like `cp`, and get what was done instead of the output.
+
+@param {string[] | object} argumentsOrOptions - The arguments of the command, as in `['src/*.png', 'dist', '--dry-run']`, or the options of a config task: `sources`, a `destination` or `to`, and the flags in camelCase, as in `{sources: ['src/*.png'], destination: 'dist', dryRun: true}`. Without sources, the arguments run the tasks of the config.
+@param {object} [output] - Where to send what the command would print, which is nothing by default.
+@param {(message: string) => void} [output.log] - Gets what goes to stdout, like the files of a dry run or the JSON of `--json`.
+@param {(message: unknown) => void} [output.logError] - Gets what goes to stderr, like the summary of `--stats`.
+@returns {Promise<{operations: object[], summary: object, close?: () => Promise<void>}>} Every operation, like with `--json`, and the summary of all of them. With `watch`, it resolves once watching has started, and `close` stops it.
+
+@example
+```
+import {runCpy} from 'cpy-cli';
+
+const {summary} = await runCpy(['src/*.png', 'dist']);
+console.log(summary.copiedFiles);
+
+await runCpy({sources: ['README.md'], destination: 'dist/readme.txt'});
+```
+*/
+export async function runCpy(argumentsOrOptions, {log = noop, logError = noop} = {}) {
+	const {input, flags} = resolveInput(argumentsOrOptions);
+	const {operations, summary, watchers} = await run(input, flags, {log, logError});
+
+	if (watchers.length === 0) {
+		return {operations, summary};
+	}
+
+	return {
+		operations,
+		summary,
+		async close() {
+			await Promise.all(watchers.map(watcher => watcher.close()));
+		},
+	};
+}
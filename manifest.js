@@ -0,0 +1,62 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import {pipeline} from 'node:stream/promises';
+import {Writable} from 'node:stream';
+import pMap from 'p-map';
+
+/**
+The digests of a manifest entry, which `<script integrity>` and `<link integrity>` take as they are.
+*/
+const integrityAlgorithms = ['sha256', 'sha384'];
+
+const toPosixPath = filePath => filePath.split(path.sep).join('/');
+
+/**
+Hash a file with each algorithm in a single read.
+
+@param {string} filePath
+@returns {Promise<Record<string, string>>} Each digest in the format of subresource integrity, as in `sha384-<base64>`.
+*/
+const hashForIntegrity = async filePath => {
+	const hashes = integrityAlgorithms.map(algorithm => crypto.createHash(algorithm));
+
+	await pipeline(fs.createReadStream(filePath), new Writable({
+		write(chunk, _encoding, callback) {
+			for (const hash of hashes) {
+				hash.update(chunk);
+			}
+
+			callback();
+		},
+	}));
+
+	return Object.fromEntries(integrityAlgorithms.map((algorithm, index) => [algorithm, `${algorithm}-${hashes[index].digest('base64')}`]));
+};
+
+/**
+Write a JSON manifest that maps the path of each source to where it was copied, with the size and the digests of the copy, sorted by source.
+
+Both paths are relative to `cwd` and use `/` as separator. The copies are hashed rather than the sources, as a transform can change them.
+
+@param {string} manifestPath
+@param {import('./plan.js').PlannedFile[]} files - Copied, or up to date already. Symbolic links are left out, as there is nothing to hash.
+@param {object} options
+@param {string} options.cwd
+@param {(filePath: string) => string} [options.toDisplayPath] - The path to write down for a file, like in an archive instead of where it is staged.
+*/
+export default async function writeManifest(manifestPath, files, {cwd, toDisplayPath = filePath => filePath}) {
+	const copiedFiles = files
+		.filter(file => file.linkTarget === undefined)
+		.map(file => ({...file, source: toPosixPath(path.relative(cwd, toDisplayPath(file.sourcePath)))}))
+		.sort((a, b) => a.source < b.source ? -1 : 1);
+
+	const entries = await pMap(copiedFiles, async file => [file.source, {
+		destination: toPosixPath(path.relative(cwd, toDisplayPath(file.destinationPath))),
+		size: fs.statSync(file.destinationPath).size,
+		...await hashForIntegrity(file.destinationPath),
+	}], {concurrency: 16});
+
+	fs.mkdirSync(path.dirname(manifestPath), {recursive: true});
+	fs.writeFileSync(manifestPath, `${JSON.stringify(Object.fromEntries(entries), undefined, '\t')}\n`);
+}
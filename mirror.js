@@ -0,0 +1,65 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import {globby} from 'globby';
+import {isWithin} from './utilities.js';
+
+/**
+Find the files in the destination that no source maps to.
+
+@param {string} destinationRoot
+@param {Set<string>} expectedPaths - Resolved destination paths of every matched source, copied or not.
+@param {object} [options]
+@param {string[]} [options.protect] - Globs, relative to the destination, of files to keep regardless.
+@returns {Promise<string[]>}
+*/
+export async function findExtraneousFiles(destinationRoot, expectedPaths, {protect = []} = {}) {
+	const files = await globby('**', {
+		cwd: destinationRoot,
+		absolute: true,
+		dot: true,
+		onlyFiles: true,
+		followSymbolicLinks: false,
+		ignore: protect,
+	});
+
+	return files
+		.map(file => path.resolve(file))
+		.filter(file => !expectedPaths.has(file));
+}
+
+/**
+Remove the given directories and then their parents, as long as they are empty, up to but excluding the root.
+
+@param {string[]} directories
+@param {string} root
+*/
+export function removeEmptyDirectories(directories, root) {
+	// Deepest first, so a parent is only tried once its children are gone.
+	const sortedDirectories = [...new Set(directories)].sort((a, b) => b.length - a.length);
+	for (let directory of sortedDirectories) {
+		while (directory !== root && isWithin(root, directory)) {
+			try {
+				fs.rmdirSync(directory);
+			} catch {
+				// Not empty, or already gone.
+				break;
+			}
+
+			directory = path.dirname(directory);
+		}
+	}
+}
+
+/**
+Remove files and then the directories that were left empty by it, up to but excluding the destination root.
+
+@param {string[]} files
+@param {string} destinationRoot
+*/
+export function removeFiles(files, destinationRoot) {
+	for (const file of files) {
+		fs.rmSync(file, {force: true});
+	}
+
+	removeEmptyDirectories(files.map(file => path.dirname(file)), destinationRoot);
+}
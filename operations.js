@@ -0,0 +1,82 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import prettyBytes from 'pretty-bytes';
+
+const getFileSize = filePath => {
+	try {
+		return fs.statSync(filePath).size;
+	} catch {}
+};
+
+/**
+Describe a planned or performed operation for the machine-readable output.
+
+@param {'copied' | 'renamed' | 'moved' | 'created-directory' | 'skipped-filtered' | 'skipped-existing' | 'skipped-up-to-date' | 'skipped-duplicate' | 'skipped-conflict' | 'skipped-declined' | 'removed'} action
+@param {string | undefined} sourcePath - `undefined` for removed files.
+@param {string} destinationPath
+@returns {{action: string, source: string | null, destination: string, size: number}}
+*/
+export const createOperation = (action, sourcePath, destinationPath) => ({
+	action,
+	source: sourcePath ?? null,
+	destination: destinationPath,
+	// The size of the destination when the source is gone, because it was moved or there is none for what is removed.
+	size: action === 'created-directory' ? 0 : (sourcePath && getFileSize(sourcePath)) ?? getFileSize(destinationPath) ?? 0,
+});
+
+/**
+Get the action of a copy, which is `renamed` when the filename changes on the way.
+
+@param {string} sourcePath
+@param {string} destinationPath
+@returns {'copied' | 'renamed'}
+*/
+export const getCopyAction = (sourcePath, destinationPath) => path.basename(sourcePath) === path.basename(destinationPath) ? 'copied' : 'renamed';
+
+export const isCopyAction = action => action === 'copied' || action === 'renamed' || action === 'moved';
+
+/**
+@param {Array<ReturnType<typeof createOperation>>} operations
+@param {{dryRun: boolean}} options
+*/
+export const summarizeOperations = (operations, {dryRun}) => {
+	const summary = {
+		dryRun,
+		copiedFiles: 0,
+		skippedFiles: 0,
+		removedFiles: 0,
+		createdDirectories: 0,
+		copiedSize: 0,
+	};
+
+	for (const {action, size} of operations) {
+		if (isCopyAction(action)) {
+			summary.copiedFiles++;
+			summary.copiedSize += size;
+		} else if (action === 'removed') {
+			summary.removedFiles++;
+		} else if (action === 'created-directory') {
+			summary.createdDirectories++;
+		} else {
+			summary.skippedFiles++;
+		}
+	}
+
+	return summary;
+};
+
+const pluralizeFiles = count => `${count} ${count === 1 ? 'file' : 'files'}`;
+
+/**
+The created directories are only mentioned when there are any, as only `--include-empty-dirs` creates them on their own.
+
+@param {ReturnType<typeof summarizeOperations>} summary
+@returns {string}
+*/
+export const formatSummary = ({dryRun, copiedFiles, skippedFiles, removedFiles, createdDirectories, copiedSize}) => {
+	const directories = `${createdDirectories} ${createdDirectories === 1 ? 'directory' : 'directories'}`;
+
+	return dryRun
+		? `Would copy ${pluralizeFiles(copiedFiles)} (${prettyBytes(copiedSize)}), skip ${skippedFiles}, remove ${removedFiles}${createdDirectories > 0 ? `, create ${directories}` : ''}`
+		: `Copied ${pluralizeFiles(copiedFiles)} (${prettyBytes(copiedSize)}), skipped ${skippedFiles}, removed ${removedFiles}${createdDirectories > 0 ? `, created ${directories}` : ''}`;
+};
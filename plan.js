@@ -0,0 +1,384 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import cpy from 'cpy';
+import pMap from 'p-map';
+import {createCopyError} from './cli-error.js';
+import {assertNotSameFileOnDisk} from './copy.js';
+import createRenameTemplate, {isRenameTemplate} from './rename-template.js';
+import {hashFile} from './checksum.js';
+
+/**
+@typedef {object} PlannedFile
+@property {string} sourcePath - Absolute path of the source.
+@property {string} destinationPath - Absolute path the source is copied to.
+@property {string} relativePath - Source path relative to `cwd`, for messages.
+@property {string} [linkTarget] - Target of a symbolic link that is recreated instead of copying the source, see `--symlinks=preserve`.
+*/
+
+/**
+Find every source the patterns match, with the destination `cpy` maps it to.
+
+`cpy` only runs as a dry run here and every entry is filtered out, so it does the globbing, the `base`, `flat` and `rename` mapping and its checks, while the copying is left to the caller.
+
+A `rename` template is applied anew for each call, so `{{index}}` counts from 1 every time the sources are globbed.
+
+@param {string[]} patterns
+@param {string} destination
+@param {import('cpy').Options} options
+@returns {Promise<PlannedFile[]>}
+*/
+export async function findFiles(patterns, destination, options) {
+	const files = [];
+	const seen = new Set();
+	const renameTemplate = typeof options.rename === 'string' && isRenameTemplate(options.rename)
+		? createRenameTemplate(options.rename, {cwd: path.resolve(options.cwd ?? '.')})
+		: undefined;
+
+	await cpy(patterns, destination, {
+		...options,
+		rename: renameTemplate?.rename ?? options.rename,
+		dryRun: true,
+		update: false,
+		ignoreExisting: false,
+		filter(entry, {destinationPath}) {
+			// Overlapping patterns can match a source twice, which is only a duplicate when it maps to the same destination too.
+			const key = `${entry.path}\0${destinationPath}`;
+			if (!seen.has(key)) {
+				seen.add(key);
+				files.push({sourcePath: entry.path, destinationPath, relativePath: entry.relativePath});
+			}
+
+			return false;
+		},
+	});
+
+	return renameTemplate ? renameTemplate.resolveHashes(files) : files;
+}
+
+/**
+Create a `findFiles` that globs only once for several destinations. `cpy` maps every file relative to the destination, so the files found for the first destination are moved under each later one.
+
+A call with other patterns or mapping options, or another `rename` function, globs again.
+
+@returns {typeof findFiles}
+*/
+export const createSharedFileFinder = () => {
+	const results = [];
+
+	return async (patterns, destination, options) => {
+		const destinationRoot = path.resolve(options.cwd, destination);
+		const {rename, ...otherOptions} = options;
+		const key = JSON.stringify([patterns, otherOptions]);
+
+		const result = results.find(result => result.key === key && result.rename === rename);
+		if (result === undefined) {
+			const files = await findFiles(patterns, destination, options);
+			results.push({
+				key,
+				rename,
+				destinationRoot,
+				files,
+			});
+			return files;
+		}
+
+		return result.files.map(file => ({
+			...file,
+			destinationPath: path.join(destinationRoot, path.relative(result.destinationRoot, file.destinationPath)),
+		}));
+	};
+};
+
+const selectFiltered = async (files, skip, filter) => {
+	const isSelected = await pMap(files, async file => {
+		let isMatch;
+		try {
+			isMatch = await filter(file);
+		} catch (error) {
+			throw createCopyError(file, error);
+		}
+
+		if (!isMatch) {
+			skip(file, 'skipped-filtered');
+		}
+
+		return isMatch;
+	}, {concurrency: 1024});
+
+	return files.filter((_file, index) => isSelected[index]);
+};
+
+const selectNotExisting = async (files, skip) => {
+	const destinationPaths = new Set();
+
+	const isSelected = await pMap(files, async file => {
+		if (destinationPaths.has(file.destinationPath)) {
+			skip(file, 'skipped-duplicate');
+			return false;
+		}
+
+		destinationPaths.add(file.destinationPath);
+
+		try {
+			await fs.lstat(file.destinationPath);
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				throw createCopyError(file, error);
+			}
+
+			return true;
+		}
+
+		skip(file, 'skipped-existing');
+		return false;
+	}, {concurrency: 1024});
+
+	return files.filter((_file, index) => isSelected[index]);
+};
+
+/**
+Copying sets the modification time through a `Date` or a number of seconds, which loses some of its precision, so times less than a millisecond apart are the same. Otherwise every copy would look older than its source.
+*/
+const compareModificationTimes = (a, b) => Math.abs(a - b) < 1 ? 0 : Math.sign(a - b);
+
+const selectNewer = async (files, skip) => {
+	const destinationStates = new Map();
+	const getDestinationState = file => {
+		if (!destinationStates.has(file.destinationPath)) {
+			destinationStates.set(file.destinationPath, (async () => {
+				let stats;
+				try {
+					stats = await fs.stat(file.destinationPath);
+				} catch (error) {
+					if (error.code === 'ENOENT') {
+						return {exists: false};
+					}
+
+					throw createCopyError(file, error);
+				}
+
+				return stats.isFile() ? {exists: true, mtimeMs: stats.mtimeMs, size: stats.size} : {nonFile: true};
+			})());
+		}
+
+		return destinationStates.get(file.destinationPath);
+	};
+
+	const candidates = await pMap(files, async (file, index) => {
+		const destinationState = await getDestinationState(file);
+
+		let sourceStats;
+		try {
+			sourceStats = await fs.stat(file.sourcePath);
+		} catch (error) {
+			throw createCopyError(file, error);
+		}
+
+		return {
+			file,
+			index,
+			destinationState,
+			sourceStats,
+		};
+	}, {concurrency: 1024});
+
+	const bestCandidateByDestination = new Map();
+	const replaceCandidate = (file, candidate) => {
+		const existingCandidate = bestCandidateByDestination.get(file.destinationPath);
+		if (existingCandidate) {
+			skip(existingCandidate.file, 'skipped-duplicate');
+		}
+
+		bestCandidateByDestination.set(file.destinationPath, candidate);
+	};
+
+	for (const {file, index, destinationState, sourceStats} of candidates) {
+		// Not a file, so copying fails, which is better than silently skipping it.
+		if (destinationState.nonFile) {
+			if (bestCandidateByDestination.has(file.destinationPath)) {
+				skip(file, 'skipped-duplicate');
+			} else {
+				bestCandidateByDestination.set(file.destinationPath, {file, index, mtimeMs: Number.NEGATIVE_INFINITY});
+			}
+
+			continue;
+		}
+
+		const shouldCopy = !destinationState.exists
+			|| compareModificationTimes(sourceStats.mtimeMs, destinationState.mtimeMs) > 0
+			|| (compareModificationTimes(sourceStats.mtimeMs, destinationState.mtimeMs) === 0 && sourceStats.size !== destinationState.size);
+
+		if (!shouldCopy) {
+			skip(file, 'skipped-up-to-date');
+			continue;
+		}
+
+		// The newest source wins when several map to the same destination, and the last one of those on a tie.
+		const existingCandidate = bestCandidateByDestination.get(file.destinationPath);
+		const isNewerCandidate = !existingCandidate
+			|| sourceStats.mtimeMs > existingCandidate.mtimeMs
+			|| (sourceStats.mtimeMs === existingCandidate.mtimeMs && index > existingCandidate.index);
+
+		if (!isNewerCandidate) {
+			skip(file, 'skipped-duplicate');
+			continue;
+		}
+
+		replaceCandidate(file, {file, index, mtimeMs: sourceStats.mtimeMs});
+	}
+
+	const selectedFiles = new Set([...bestCandidateByDestination.values()].map(({file}) => file));
+	return files.filter(file => selectedFiles.has(file));
+};
+
+/**
+Skip the files whose destination has the same contents already. Runs after the collapse to one file per destination, so the same file wins as without `checksum`.
+*/
+const selectChanged = async (files, skip, checksums, transform) => {
+	const isSelected = await pMap(files, async file => {
+		let destinationStats;
+		try {
+			destinationStats = await fs.stat(file.destinationPath);
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return true;
+			}
+
+			throw createCopyError(file, error);
+		}
+
+		// Not a file, so copying fails, which is better than silently skipping it.
+		if (!destinationStats.isFile()) {
+			return true;
+		}
+
+		try {
+			// A transformed source is compared as the transform would write it, so its size tells nothing.
+			const streams = transform?.(file);
+			const sourceStats = await fs.stat(file.sourcePath);
+			if (streams === undefined && sourceStats.size !== destinationStats.size) {
+				return true;
+			}
+
+			const [sourceChecksum, destinationChecksum] = await Promise.all([
+				streams === undefined ? checksums.get(file.sourcePath) : hashFile(file.sourcePath, 'sha1', streams),
+				checksums.get(file.destinationPath),
+			]);
+
+			if (sourceChecksum !== destinationChecksum) {
+				return true;
+			}
+		} catch (error) {
+			throw createCopyError(file, error);
+		}
+
+		skip(file, 'skipped-up-to-date');
+		return false;
+	}, {concurrency: 16});
+
+	return files.filter((_file, index) => isSelected[index]);
+};
+
+/**
+Keep a single file per destination, so two copies never write to one path at the same time.
+
+The last one wins, which is what copying one after the other would leave behind, at the position of the first one.
+
+A dropped file never gets to the same-file check before copying, and the winner could truncate it through a symlink or a hard link, so it is checked here.
+*/
+const selectLastPerDestination = async (files, skip) => {
+	const lastFileByDestination = new Map();
+	for (const file of files) {
+		const previousFile = lastFileByDestination.get(file.destinationPath);
+		if (previousFile) {
+			skip(previousFile, 'skipped-duplicate');
+		}
+
+		lastFileByDestination.set(file.destinationPath, file);
+	}
+
+	const selectedFiles = new Set(lastFileByDestination.values());
+	await Promise.all(files
+		.filter(file => !selectedFiles.has(file))
+		.map(file => assertNotSameFileOnDisk(file)));
+
+	return [...selectedFiles];
+};
+
+// A destination that is a hard link to the source already, from an earlier `--link`, would be refused as a copy onto itself.
+const selectNotLinked = async (files, skip) => {
+	const isSelected = await pMap(files, async file => {
+		// Symbolic links are recreated rather than linked.
+		if (file.linkTarget !== undefined) {
+			return true;
+		}
+
+		let sourceStats;
+		let destinationStats;
+		try {
+			destinationStats = await fs.lstat(file.destinationPath, {bigint: true});
+			sourceStats = await fs.stat(file.sourcePath, {bigint: true});
+		} catch (error) {
+			if (error.code === 'ENOENT' && destinationStats === undefined) {
+				return true;
+			}
+
+			throw createCopyError(file, error);
+		}
+
+		if (destinationStats.ino === sourceStats.ino && destinationStats.ino !== 0n && destinationStats.dev === sourceStats.dev) {
+			skip(file, 'skipped-up-to-date');
+			return false;
+		}
+
+		return true;
+	}, {concurrency: 1024});
+
+	return files.filter((_file, index) => isSelected[index]);
+};
+
+/**
+Select the files to copy, the same way `cpy` does for `ignoreExisting` and `update`.
+
+With `checksum`, `update` compares the contents instead of the modification times. The `filter` runs first, so a file it drops never competes for its destination.
+
+@param {PlannedFile[]} files
+@param {object} options
+@param {(file: PlannedFile) => Promise<boolean>} [options.filter] - Whether to copy the file at all, see `filters.js`.
+@param {boolean} [options.ignoreExisting]
+@param {boolean} [options.update]
+@param {ReturnType<import('./checksum.js').default>} [options.checksum] - The cache to get the checksums from.
+@param {boolean} [options.link] - Skip the destinations that are hard links to their source already.
+@param {Awaited<ReturnType<import('./transform.js').default>>} [options.transform] - With `checksum`, a transformed file is compared as the transform would write it.
+@returns {Promise<{selected: PlannedFile[], skipped: Array<{file: PlannedFile, action: 'skipped-filtered' | 'skipped-existing' | 'skipped-up-to-date' | 'skipped-duplicate'}>}>}
+*/
+export async function selectFiles(files, {filter, ignoreExisting = false, update = false, checksum, link = false, transform} = {}) {
+	const skipped = [];
+	const skip = (file, action) => {
+		skipped.push({file, action});
+	};
+
+	let selected = files;
+
+	if (filter) {
+		selected = await selectFiltered(selected, skip, filter);
+	}
+
+	if (ignoreExisting) {
+		selected = await selectNotExisting(selected, skip);
+	} else if (update && !checksum) {
+		selected = await selectNewer(selected, skip);
+	}
+
+	selected = await selectLastPerDestination(selected, skip);
+
+	if (link) {
+		selected = await selectNotLinked(selected, skip);
+	}
+
+	if (update && checksum && !ignoreExisting) {
+		selected = await selectChanged(selected, skip, checksum, transform);
+	}
+
+	return {selected, skipped};
+}
@@ -0,0 +1,76 @@
+import process from 'node:process';
+import prettyBytes from 'pretty-bytes';
+import prettyMilliseconds from 'pretty-ms';
+
+const barWidth = 20;
+
+const formatProgress = ({completedFiles, totalFiles, completedSize, percent}, elapsed) => {
+	const throughput = elapsed > 0 ? completedSize / (elapsed / 1000) : 0;
+	const parts = [
+		`${completedFiles}/${totalFiles} files`,
+		prettyBytes(completedSize),
+		`${prettyBytes(throughput)}/s`,
+	];
+
+	if (percent > 0 && percent < 1) {
+		// Based on the share of files done, as the total size is not known up front.
+		parts.push(`ETA ${prettyMilliseconds((elapsed / percent) - elapsed, {secondsDecimalDigits: 0})}`);
+	}
+
+	return parts.join('  ');
+};
+
+const renderBar = percent => {
+	const filled = Math.round(percent * barWidth);
+	return `[${'#'.repeat(filled)}${'-'.repeat(barWidth - filled)}]`;
+};
+
+/**
+Report the progress of a copy, as a bar that redraws itself on a TTY, or as a line every `interval` otherwise.
+
+@param {object} [options]
+@param {NodeJS.WriteStream} [options.stream]
+@param {number} [options.interval] - Milliseconds between lines when not on a TTY.
+@returns {{update: (progress: import('cpy').ProgressData) => void, done: () => void}}
+*/
+export default function createProgressReporter({stream = process.stderr, interval = 1000} = {}) {
+	const isTTY = Boolean(stream.isTTY);
+	const start = Date.now();
+	const throttle = isTTY ? 100 : interval;
+	let lastWrite = 0;
+	let lastProgress;
+
+	const write = () => {
+		const line = formatProgress(lastProgress, Date.now() - start);
+		if (isTTY) {
+			stream.write(`\r\u001B[K${renderBar(lastProgress.percent)} ${line}`);
+		} else {
+			stream.write(`${line}\n`);
+		}
+	};
+
+	return {
+		update(progress) {
+			lastProgress = progress;
+
+			const now = Date.now();
+			if (now - lastWrite < throttle) {
+				return;
+			}
+
+			lastWrite = now;
+			write();
+		},
+		done() {
+			if (lastProgress === undefined) {
+				return;
+			}
+
+			write();
+
+			if (isTTY) {
+				stream.write('\n');
+			}
+		},
+	};
+}
@@ -0,0 +1,145 @@
+import path from 'node:path';
+import process from 'node:process';
+import fs from 'node:fs';
+import readline from 'node:readline/promises';
+import {structuredPatch} from 'diff';
+import prettyBytes from 'pretty-bytes';
+import CliError from './cli-error.js';
+import {isBinary} from './utilities.js';
+
+const choices = new Map([
+	['y', 'yes'],
+	['yes', 'yes'],
+	['n', 'no'],
+	['no', 'no'],
+	['a', 'all'],
+	['all', 'all'],
+	['o', 'none'],
+	['none', 'none'],
+	['d', 'diff'],
+	['diff', 'diff'],
+]);
+
+const choicesLine = '[y]es, [n]o, [a]ll, n[o]ne, [d]iff? ';
+
+const relativeToCwd = filePath => path.relative(process.cwd(), filePath);
+
+const formatSide = (label, filePath, stats) => `  ${label}  ${relativeToCwd(filePath)}  ${prettyBytes(stats.size)}  ${stats.mtime.toLocaleString()}`;
+
+// Ctrl+C and Ctrl+D end the questions, which a terminal in raw mode does not do by itself.
+const createInterface = (input, output) => {
+	const rl = readline.createInterface({input, output});
+	const controller = new AbortController();
+
+	rl.on('SIGINT', () => {
+		rl.close();
+	});
+	rl.on('close', () => {
+		controller.abort();
+	});
+
+	return {rl, signal: controller.signal};
+};
+
+/**
+Show what overwriting the destination changes in it, as a unified diff.
+
+@param {import('./plan.js').PlannedFile} file
+@returns {string}
+*/
+export const formatDiff = ({sourcePath, destinationPath}) => {
+	const source = fs.readFileSync(sourcePath);
+	const destination = fs.readFileSync(destinationPath);
+
+	if (isBinary(source) || isBinary(destination)) {
+		return source.equals(destination) ? 'The files are identical' : 'The files are binary and differ';
+	}
+
+	const {hunks} = structuredPatch(relativeToCwd(destinationPath), relativeToCwd(sourcePath), destination.toString(), source.toString());
+	if (hunks.length === 0) {
+		return 'The files are identical';
+	}
+
+	return [
+		`--- ${relativeToCwd(destinationPath)}`,
+		`+++ ${relativeToCwd(sourcePath)}`,
+		...hunks.flatMap(({oldStart, oldLines, newStart, newLines, lines}) => [`@@ -${oldStart},${oldLines} +${newStart},${newLines} @@`, ...lines]),
+	].join('\n');
+};
+
+/**
+Create a prompt that asks on the terminal before each existing destination is overwritten, like `cp -i`. Answering `all` or `none` answers it for the rest of the files.
+
+@param {object} [options]
+@param {NodeJS.ReadStream} [options.input]
+@param {NodeJS.WriteStream} [options.output] - stderr by default, so it does not get in the way of `--json`.
+@returns {{confirm: (files: import('./plan.js').PlannedFile[]) => Promise<{confirmed: import('./plan.js').PlannedFile[], declined: import('./plan.js').PlannedFile[]}>}}
+*/
+export default function createOverwritePrompt({input = process.stdin, output = process.stderr} = {}) {
+	if (!input.isTTY) {
+		throw new CliError('`--interactive` requires a terminal to ask on, as stdin is not one');
+	}
+
+	let answerForAll;
+
+	const ask = async ({rl, signal}, file, destinationStats) => {
+		const sourceStats = fs.statSync(file.sourcePath);
+		output.write([
+			`Overwrite ${relativeToCwd(file.destinationPath)}?`,
+			formatSide('source     ', file.sourcePath, sourceStats),
+			formatSide('destination', file.destinationPath, destinationStats),
+			'',
+		].join('\n'));
+
+		for (;;) {
+			let answer;
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				answer = await rl.question(choicesLine, {signal});
+			} catch (error) {
+				throw new CliError(`Canceled at \`${relativeToCwd(file.destinationPath)}\``, {cause: error});
+			}
+
+			const choice = choices.get(answer.trim().toLowerCase());
+
+			if (choice === 'diff') {
+				output.write(`${formatDiff(file)}\n`);
+			} else if (choice !== undefined) {
+				return choice;
+			}
+		}
+	};
+
+	return {
+		async confirm(files) {
+			const confirmed = [];
+			const declined = [];
+			let prompt;
+
+			try {
+				for (const file of files) {
+					const destinationStats = fs.statSync(file.destinationPath, {throwIfNoEntry: false});
+					if (destinationStats === undefined || answerForAll !== undefined) {
+						(answerForAll === 'none' && destinationStats !== undefined ? declined : confirmed).push(file);
+						continue;
+					}
+
+					prompt ??= createInterface(input, output);
+					// One question at a time, in the order of the files.
+					// eslint-disable-next-line no-await-in-loop
+					const choice = await ask(prompt, file, destinationStats);
+
+					if (choice === 'all' || choice === 'none') {
+						answerForAll = choice;
+					}
+
+					(choice === 'yes' || choice === 'all' ? confirmed : declined).push(file);
+				}
+			} finally {
+				prompt?.rl.close();
+			}
+
+			return {confirmed, declined};
+		},
+	};
+}
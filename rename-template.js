@@ -0,0 +1,164 @@
+import path from 'node:path';
+import pMap from 'p-map';
+import CliError from './cli-error.js';
+import {hashFile} from './checksum.js';
+
+const tokenPattern = /{{(\w+)(?::(\d+))?(?:\|(\w+))?}}/g;
+
+const splitWords = value => value.split(/[^a-zA-Z\d]+|(?<=[a-z\d])(?=[A-Z])/).filter(Boolean);
+
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+const transforms = {
+	upper: value => value.toUpperCase(),
+	lower: value => value.toLowerCase(),
+	kebab: value => splitWords(value).join('-').toLowerCase(),
+	snake: value => splitWords(value).join('_').toLowerCase(),
+	camel: value => splitWords(value).map((word, index) => index === 0 ? word.toLowerCase() : capitalize(word)).join(''),
+};
+
+const tokens = {
+	basename: ({source}) => source.nameWithoutExtension,
+	name: ({source}) => source.nameWithoutExtension,
+	ext: ({source}) => source.extension,
+	dir: ({source}) => path.basename(path.dirname(source.path)),
+	// Joined with dashes, as the result has to stay a filename.
+	relativePath: ({source, cwd}) => path.relative(cwd, source.path).split(path.sep).join('-'),
+	index: ({index}, width = 0) => String(index).padStart(width, '0'),
+	date: ({date}) => date,
+	hash: ({hash}, length = 8) => hash.slice(0, length),
+};
+
+// Stands in for a `{{hash}}` token until the files are hashed after globbing, as the `rename` callback of `cpy` is synchronous. No filename has a NUL byte.
+const createHashPlaceholder = partIndex => `\0${partIndex}\0`;
+const hashPlaceholderPattern = /\0(\d+)\0/g;
+
+const renderToken = (part, context) => {
+	const value = tokens[part.name](context, part.argument);
+	return part.transform ? transforms[part.transform](value) : value;
+};
+
+/**
+Parse a template into literal strings and tokens, validating the tokens.
+
+@param {string} template
+*/
+const parseTemplate = template => {
+	const parts = [];
+	let lastIndex = 0;
+
+	for (const match of template.matchAll(tokenPattern)) {
+		const [placeholder, name, argument, transform] = match;
+
+		if (!Object.hasOwn(tokens, name)) {
+			throw new CliError(`Unknown rename token \`${placeholder}\`, expected one of: ${Object.keys(tokens).join(', ')}`);
+		}
+
+		if (transform !== undefined && !Object.hasOwn(transforms, transform)) {
+			throw new CliError(`Unknown rename transform \`${transform}\` in \`${placeholder}\`, expected one of: ${Object.keys(transforms).join(', ')}`);
+		}
+
+		parts.push(template.slice(lastIndex, match.index), {
+			name,
+			argument: argument === undefined ? undefined : Number(argument),
+			transform,
+		});
+		lastIndex = match.index + placeholder.length;
+	}
+
+	parts.push(template.slice(lastIndex));
+	return parts;
+};
+
+/**
+Check whether a `--rename` value is a template rather than a fixed filename.
+
+@param {string} template
+@returns {boolean}
+*/
+export const isRenameTemplate = template => [...template.matchAll(tokenPattern)].length > 0;
+
+/**
+Throw for an unknown token or transform, before the template is applied while globbing.
+
+@param {string} template
+*/
+export const validateRenameTemplate = template => {
+	parseTemplate(template);
+};
+
+/**
+Create a `rename` function for `cpy` from a template like `{{name}}.{{hash:8}}.{{ext}}`, for a single run of `cpy`, as `{{index}}` counts the files it renames.
+
+The template is the whole filename, so leaving out `{{ext}}` drops the extension. The one exception is the original `{{basename}}` token, which keeps appending the extension unless `{{ext}}` is used too.
+
+`{{hash}}` is only filled in by `resolveHashes` once the files are found, so each source is hashed once and streamed rather than read into memory.
+
+@param {string} template
+@param {{cwd: string}} options
+@returns {{rename: (source: import('cpy').Entry, destination: {name: string}) => void, resolveHashes: (files: import('./plan.js').PlannedFile[]) => Promise<import('./plan.js').PlannedFile[]>}}
+*/
+export default function createRenameTemplate(template, {cwd}) {
+	const parts = parseTemplate(template);
+	const tokenNames = new Set(parts.filter(part => typeof part === 'object').map(({name}) => name));
+	const shouldAppendExtension = tokenNames.has('basename') && !tokenNames.has('ext');
+	const date = new Date().toISOString().slice(0, 10);
+	let index = 0;
+
+	const rename = (source, destination) => {
+		index++;
+
+		let name = '';
+		for (const [partIndex, part] of parts.entries()) {
+			if (typeof part === 'string') {
+				name += part;
+				continue;
+			}
+
+			if (part.name === 'hash') {
+				name += createHashPlaceholder(partIndex);
+				continue;
+			}
+
+			const value = renderToken(part, {
+				source,
+				cwd,
+				index,
+				date,
+			});
+
+			// Drop the dot before an empty extension, so `{{name}}.{{ext}}` works for extensionless files too.
+			if (part.name === 'ext' && value === '' && name.endsWith('.')) {
+				name = name.slice(0, -1);
+			}
+
+			name += value;
+		}
+
+		if (shouldAppendExtension && source.extension) {
+			name += `.${source.extension}`;
+		}
+
+		destination.name = name;
+	};
+
+	const resolveHashes = async files => {
+		if (!tokenNames.has('hash')) {
+			return files;
+		}
+
+		return pMap(files, async file => {
+			if (!file.destinationPath.includes('\0')) {
+				return file;
+			}
+
+			const hash = await hashFile(file.sourcePath, 'sha256');
+			return {
+				...file,
+				destinationPath: file.destinationPath.replaceAll(hashPlaceholderPattern, (_placeholder, partIndex) => renderToken(parts[partIndex], {hash})),
+			};
+		}, {concurrency: 16});
+	};
+
+	return {rename, resolveHashes};
+}
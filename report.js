@@ -0,0 +1,82 @@
+import path from 'node:path';
+import process from 'node:process';
+import {createOperation, formatSummary} from './operations.js';
+
+const relativeToCwd = filePath => path.relative(process.cwd(), filePath);
+
+/**
+Collect the operations of a copy, printing each with `--ndjson` and listing them with `--dry-run`.
+
+@param {object} options
+@param {Record<string, any>} options.flags
+@param {(filePath: string) => string} options.toDisplayPath - The path to show for a file, like its path in an archive instead of the temporary one.
+@param {(message: string) => void} options.log
+*/
+export default function createReporter({flags, toDisplayPath, log}) {
+	const isJsonOutput = flags.json || flags.ndjson;
+
+	/** @type {Array<ReturnType<typeof createOperation>>} */
+	const operations = [];
+
+	return {
+		operations,
+
+		/**
+		@param {Parameters<typeof createOperation>[0]} action
+		@param {string | undefined} sourcePath
+		@param {string} destinationPath
+		*/
+		record(action, sourcePath, destinationPath) {
+			const operation = createOperation(action, sourcePath, destinationPath);
+			operation.source &&= toDisplayPath(operation.source);
+			operation.destination = toDisplayPath(operation.destination);
+			operations.push(operation);
+
+			if (flags.ndjson) {
+				log(JSON.stringify(operation));
+			}
+		},
+
+		/**
+		List what a dry run would do, unless the operations are printed as JSON instead.
+
+		@param {string | undefined} sourcePath - `undefined` for a file that would be removed.
+		@param {string} destinationPath
+		@param {{isDirectory?: boolean}} [options]
+		*/
+		logDryRun(sourcePath, destinationPath, {isDirectory = false} = {}) {
+			if (!flags.dryRun || isJsonOutput) {
+				return;
+			}
+
+			if (sourcePath === undefined) {
+				log(`Would remove ${relativeToCwd(destinationPath)}`);
+				return;
+			}
+
+			const suffix = isDirectory ? path.sep : '';
+			log(`${relativeToCwd(sourcePath)}${suffix} → ${relativeToCwd(destinationPath)}${suffix}`);
+		},
+	};
+}
+
+/**
+Print the result of a copy as `--json`, the summary line of `--ndjson`, and the `--stats` summary.
+
+@param {{operations: Array<ReturnType<typeof createOperation>>, summary: ReturnType<typeof import('./operations.js').summarizeOperations>}} result
+@param {object} options
+@param {Record<string, any>} options.flags
+@param {(message: string) => void} options.log
+@param {(message: unknown) => void} options.logError
+*/
+export function printResult({operations, summary}, {flags, log, logError}) {
+	if (flags.json) {
+		log(JSON.stringify({operations, summary}, undefined, '\t'));
+	} else if (flags.ndjson) {
+		log(JSON.stringify({summary}));
+	}
+
+	if (flags.stats) {
+		logError(formatSummary(summary));
+	}
+}
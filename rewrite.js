@@ -0,0 +1,87 @@
+import path from 'node:path';
+import CliError from './cli-error.js';
+import {isWithin} from './utilities.js';
+
+const createSubstitutionError = expression => new CliError(`Invalid substitution \`${expression}\`, expected s/pattern/replacement/flags`);
+
+/**
+Parse a sed-like `s/pattern/replacement/flags` expression. Any character after the `s` can be the delimiter, as in `s#a/b#c#`, and it can be escaped with a backslash.
+
+@param {string} expression
+@returns {{pattern: RegExp, replacement: string}}
+*/
+export const parseSubstitution = expression => {
+	if (!expression.startsWith('s') || expression.length < 2) {
+		throw createSubstitutionError(expression);
+	}
+
+	const delimiter = expression[1];
+	const parts = [''];
+	for (let index = 2; index < expression.length; index++) {
+		const character = expression[index];
+
+		if (character === '\\' && expression[index + 1] === delimiter) {
+			parts[parts.length - 1] += delimiter;
+			index++;
+		} else if (character === delimiter) {
+			parts.push('');
+		} else {
+			parts[parts.length - 1] += character;
+		}
+	}
+
+	if (parts.length !== 3 || parts[0] === '') {
+		throw createSubstitutionError(expression);
+	}
+
+	const [pattern, replacement, flags] = parts;
+
+	try {
+		return {pattern: new RegExp(pattern, flags), replacement};
+	} catch (error) {
+		throw new CliError(`Invalid substitution \`${expression}\`: ${error.message}`, {cause: error});
+	}
+};
+
+const toPosixPath = filePath => filePath.split(path.sep).join('/');
+
+/**
+Create a function that applies `--rename-regex` to the filename and then `--path-regex` to the path relative to the destination.
+
+@param {object} options
+@param {string[]} [options.renameRegex]
+@param {string[]} [options.pathRegex]
+@param {string} destinationRoot
+@returns {((destinationPath: string) => string) | undefined} `undefined` when there is nothing to rewrite.
+*/
+export default function createDestinationRewriter({renameRegex = [], pathRegex = []}, destinationRoot) {
+	if (renameRegex.length === 0 && pathRegex.length === 0) {
+		return;
+	}
+
+	const filenameSubstitutions = renameRegex.map(expression => parseSubstitution(expression));
+	const pathSubstitutions = pathRegex.map(expression => parseSubstitution(expression));
+
+	return destinationPath => {
+		let filename = path.basename(destinationPath);
+		for (const {pattern, replacement} of filenameSubstitutions) {
+			filename = filename.replace(pattern, replacement);
+		}
+
+		if (filename === '' || filename === '.' || filename === '..' || /[\\/]/.test(filename)) {
+			throw new CliError(`Renaming \`${path.basename(destinationPath)}\` with --rename-regex gives \`${filename}\`, which is not a filename`);
+		}
+
+		let relativePath = toPosixPath(path.relative(destinationRoot, path.join(path.dirname(destinationPath), filename)));
+		for (const {pattern, replacement} of pathSubstitutions) {
+			relativePath = relativePath.replace(pattern, replacement);
+		}
+
+		const rewrittenPath = path.resolve(destinationRoot, relativePath);
+		if (rewrittenPath === destinationRoot || !isWithin(destinationRoot, rewrittenPath)) {
+			throw new CliError(`Rewriting \`${toPosixPath(path.relative(destinationRoot, destinationPath))}\` with --path-regex gives \`${relativePath}\`, which is not inside the destination`);
+		}
+
+		return rewrittenPath;
+	};
+}
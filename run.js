@@ -0,0 +1,489 @@
+import path from 'node:path';
+import process from 'node:process';
+import os from 'node:os';
+import CliError from './cli-error.js';
+import {
+	getCopyAction,
+	isCopyAction,
+	summarizeOperations,
+} from './operations.js';
+import createProgressReporter from './progress.js';
+import {createSharedFileFinder} from './plan.js';
+import {loadConfig, resolveTask} from './config.js';
+import {createTemporaryDirectories, getArchiveFormat, packArchive} from './archive.js';
+import {createDirectories} from './directories.js';
+import createOverwritePrompt from './prompt.js';
+import {formatConflict} from './conflicts.js';
+import writeManifest from './manifest.js';
+import validateFlags from './validate.js';
+import createCopyContext from './context.js';
+import createCopier, {copyToDestinations} from './copier.js';
+import createReporter, {printResult} from './report.js';
+import {watchCopy} from './watch.js';
+
+export const flagDefinitions = {
+	overwrite: {
+		type: 'boolean',
+		default: true,
+	},
+	ignoreExisting: {
+		type: 'boolean',
+		default: false,
+	},
+	interactive: {
+		type: 'boolean',
+		shortFlag: 'i',
+		default: false,
+	},
+	update: {
+		type: 'boolean',
+		default: false,
+	},
+	checksum: {
+		type: 'boolean',
+		default: false,
+	},
+	checksumCache: {
+		type: 'boolean',
+		default: false,
+	},
+	// Without a default, so a task of the config can tell whether it was given. `run` defaults it to the current directory.
+	cwd: {
+		type: 'string',
+	},
+	base: {
+		type: 'string',
+	},
+	rename: {
+		type: 'string',
+	},
+	renameRegex: {
+		type: 'string',
+		isMultiple: true,
+	},
+	pathRegex: {
+		type: 'string',
+		isMultiple: true,
+	},
+	dot: {
+		type: 'boolean',
+		default: false,
+	},
+	gitignore: {
+		type: 'boolean',
+		default: false,
+	},
+	ignoreFile: {
+		type: 'string',
+		isMultiple: true,
+	},
+	symlinks: {
+		type: 'string',
+		default: 'follow',
+	},
+	onConflict: {
+		type: 'string',
+	},
+	minSize: {
+		type: 'string',
+	},
+	maxSize: {
+		type: 'string',
+	},
+	newerThan: {
+		type: 'string',
+	},
+	olderThan: {
+		type: 'string',
+	},
+	filesOnly: {
+		type: 'boolean',
+		default: false,
+	},
+	includeEmptyDirs: {
+		type: 'boolean',
+		default: false,
+		aliases: ['emptyDirs'],
+	},
+	dirsOnly: {
+		type: 'boolean',
+		default: false,
+	},
+	flat: {
+		type: 'boolean',
+		default: false,
+	},
+	dryRun: {
+		type: 'boolean',
+		default: false,
+	},
+	move: {
+		type: 'boolean',
+		default: false,
+	},
+	pruneSources: {
+		type: 'boolean',
+		default: false,
+	},
+	atomic: {
+		type: 'boolean',
+		default: false,
+	},
+	verify: {
+		type: 'boolean',
+		default: false,
+	},
+	reflink: {
+		type: 'string',
+	},
+	link: {
+		type: 'boolean',
+		default: false,
+	},
+	manifest: {
+		type: 'string',
+	},
+	backup: {
+		type: 'string',
+	},
+	suffix: {
+		type: 'string',
+	},
+	backupDir: {
+		type: 'string',
+	},
+	preserve: {
+		type: 'string',
+	},
+	preserveAll: {
+		type: 'boolean',
+		shortFlag: 'p',
+		default: false,
+	},
+	replace: {
+		type: 'string',
+		isMultiple: true,
+	},
+	envSubstitute: {
+		type: 'boolean',
+		default: false,
+	},
+	transform: {
+		type: 'string',
+		isMultiple: true,
+	},
+	transformFiles: {
+		type: 'string',
+		isMultiple: true,
+	},
+	concurrency: {
+		type: 'number',
+		default: (os.cpus().length > 0 ? os.cpus().length : 1) * 2,
+	},
+	progress: {
+		type: 'boolean',
+		default: false,
+	},
+	stats: {
+		type: 'boolean',
+		default: false,
+	},
+	json: {
+		type: 'boolean',
+		default: false,
+	},
+	ndjson: {
+		type: 'boolean',
+		default: false,
+	},
+	watch: {
+		type: 'boolean',
+		default: false,
+	},
+	delete: {
+		type: 'boolean',
+		default: false,
+	},
+	protect: {
+		type: 'string',
+		isMultiple: true,
+	},
+	task: {
+		type: 'string',
+		isMultiple: true,
+	},
+	config: {
+		type: 'string',
+	},
+	to: {
+		type: 'string',
+		isMultiple: true,
+		aliases: ['dest'],
+	},
+};
+
+const defaultValues = new Map([
+	['--backup', '--backup=existing'],
+	['-b', '--backup=existing'],
+	['--reflink', '--reflink=auto'],
+]);
+
+/**
+Make a bare `--backup` mean `--backup=existing` and a bare `--reflink` mean `--reflink=auto`, as they would take the next argument as their value otherwise.
+
+@param {string[]} arguments_
+@returns {string[]}
+*/
+export const normalizeArguments = arguments_ => arguments_.map(argument => defaultValues.get(argument) ?? argument);
+
+const mergeResults = results => {
+	const operations = results.flatMap(result => result.operations);
+	const watchers = results.flatMap(result => result.watchers ?? []);
+
+	return {
+		operations,
+		summary: summarizeOperations(operations, {dryRun: results.every(result => result.summary.dryRun)}),
+		watchers,
+	};
+};
+
+/**
+Find the files and directories to copy, and select the files that pass the filters, `--update` and the prompt.
+
+@param {import('./context.js').CopyContext} context
+@param {ReturnType<typeof createCopier>} copier
+@param {{findFiles?: typeof import('./plan.js').findFiles, logError: (message: unknown) => void}} options
+*/
+async function planCopy(context, {selectMatchingFiles}, {findFiles, logError}) {
+	const {flags} = context;
+	const {files, skipped: conflictingFiles, conflicts} = await context.findMatchingFiles(findFiles);
+	const directories = await context.findMatchingDirectories();
+
+	for (const conflict of conflicts) {
+		logError(`Several sources map to ${formatConflict(conflict)}`);
+	}
+
+	if (files.length === 0 && directories.length === 0 && conflictingFiles.length === 0) {
+		throw new CliError(flags.dirsOnly ? 'No directories matched the given patterns' : 'No files matched the given patterns');
+	}
+
+	const {selected, skipped} = await selectMatchingFiles(files);
+
+	return {
+		files,
+		directories,
+		conflictingFiles,
+		selected,
+		skipped,
+	};
+}
+
+/**
+Report on the files once they are copied, then remove what `--delete` asks for and create the directories that were found.
+
+@param {import('./context.js').CopyContext} context
+@param {ReturnType<typeof createCopier>} copier
+@param {ReturnType<typeof createReporter>} reporter
+@param {Awaited<ReturnType<typeof planCopy>>} plan
+*/
+async function completeCopy(context, {deleteExtraneousFiles}, reporter, {files, directories, conflictingFiles, skipped}) {
+	const {flags, toDisplayPath} = context;
+
+	for (const {action, source, destination} of reporter.operations) {
+		if (isCopyAction(action)) {
+			reporter.logDryRun(source, destination);
+		}
+	}
+
+	for (const {file, action} of [...conflictingFiles, ...skipped]) {
+		reporter.record(action, file.sourcePath, file.destinationPath);
+	}
+
+	if (flags.delete) {
+		await deleteExtraneousFiles([...files, ...conflictingFiles.map(({file}) => file)], file => {
+			reporter.record('removed', undefined, file);
+			reporter.logDryRun(undefined, file);
+		});
+	}
+
+	// After `--delete`, which removes the directories it empties.
+	const copiedPaths = reporter.operations.filter(({action}) => isCopyAction(action)).map(({destination}) => destination);
+	for (const directory of await createDirectories(directories, {dryRun: flags.dryRun, copiedPaths})) {
+		reporter.record('created-directory', directory.sourcePath, directory.destinationPath);
+		reporter.logDryRun(toDisplayPath(directory.sourcePath), toDisplayPath(directory.destinationPath), {isDirectory: true});
+	}
+}
+
+/**
+Write the `--manifest` and pack an archive destination, once everything is copied.
+*/
+async function finishCopy(context, {copiedFiles, skipped}) {
+	const {flags, archivePath, destinationRoot, toDisplayPath} = context;
+
+	// Before packing, while the copies are still there to hash.
+	if (flags.manifest !== undefined && !flags.dryRun) {
+		const upToDateFiles = skipped.filter(({action}) => action === 'skipped-up-to-date').map(({file}) => file);
+		await writeManifest(path.resolve(flags.cwd, flags.manifest), [...copiedFiles, ...upToDateFiles], {cwd: path.resolve(flags.cwd), toDisplayPath});
+	}
+
+	if (archivePath !== undefined && !flags.dryRun) {
+		await packArchive(destinationRoot, archivePath, {format: context.archiveFormat, overwrite: flags.overwrite});
+	}
+}
+
+/**
+Copy the sources to each of the destinations. They are all planned first, so that each source is read only once for all of them, and then finished one after the other.
+
+@param {string[][]} inputs - The sources and the destination, for each destination.
+*/
+async function runCopy(inputs, flags, {findFiles, overwritePrompt, log, logError}) {
+	const temporaryDirectories = createTemporaryDirectories();
+
+	try {
+		const destinations = [];
+		for (const input of inputs) {
+			// eslint-disable-next-line no-await-in-loop
+			const context = await createCopyContext(input, flags, {temporaryDirectories});
+			const copier = createCopier(context, {overwritePrompt});
+			const reporter = createReporter({flags: context.flags, toDisplayPath: context.toDisplayPath, log});
+
+			// One at a time, so the prompt asks about one destination after the other.
+			// eslint-disable-next-line no-await-in-loop
+			const plan = await planCopy(context, copier, {findFiles, logError});
+			destinations.push({
+				context,
+				copier,
+				reporter,
+				plan,
+				copiedFiles: [],
+			});
+		}
+
+		const progressReporter = flags.progress ? createProgressReporter() : undefined;
+		await copyToDestinations(destinations.map(({context, copier, reporter, plan, copiedFiles}) => ({
+			copier,
+			files: plan.selected,
+			options: {
+				onProgress: progressReporter?.update,
+				onCopied(file) {
+					const {sourcePath, destinationPath} = file;
+					reporter.record(context.flags.move ? 'moved' : getCopyAction(sourcePath, destinationPath), sourcePath, destinationPath);
+					copiedFiles.push(file);
+				},
+				onSkipped({sourcePath, destinationPath}) {
+					reporter.record('skipped-existing', sourcePath, destinationPath);
+				},
+			},
+		})));
+
+		progressReporter?.done();
+
+		const results = [];
+		for (const {context, copier, reporter, plan, copiedFiles} of destinations) {
+			/* eslint-disable no-await-in-loop */
+			await completeCopy(context, copier, reporter, plan);
+			await finishCopy(context, {copiedFiles, skipped: plan.skipped});
+
+			const {operations} = reporter;
+			const summary = summarizeOperations(operations, {dryRun: flags.dryRun});
+
+			// An archive is never watched, so the temporary directories are done with.
+			const watchers = flags.watch ? [await watchCopy(context, copier, {log, logError})] : [];
+			/* eslint-enable no-await-in-loop */
+
+			results.push({operations, summary, watchers});
+		}
+
+		return mergeResults(results);
+	} finally {
+		temporaryDirectories.removeAll();
+	}
+}
+
+/**
+Copy the sources to each `--to` destination, or to the last argument without any, globbing and reading them only once.
+*/
+async function runCopyToDestinations(input, flags, output) {
+	validateFlags(flags);
+
+	if (flags.to.length > 0 && input.length === 0) {
+		throw new CliError('`--to` requires <source>');
+	}
+
+	// A directory, unless it is an archive, so a single source is never copied to a file named like the destination.
+	const inputs = flags.to.length === 0
+		? [input]
+		: flags.to.map(destination => [...input, getArchiveFormat(destination) === undefined && !/[\\/]$/.test(destination) ? `${destination}/` : destination]);
+
+	// Once for all destinations, so answering all or none goes for the next ones too.
+	const overwritePrompt = flags.interactive ? createOverwritePrompt() : undefined;
+	const sharedFindFiles = flags.to.length > 0 ? createSharedFileFinder() : undefined;
+
+	return runCopy(inputs, flags, {...output, findFiles: sharedFindFiles, overwritePrompt});
+}
+
+/**
+Run the tasks of the config, the named ones or else all of them, one after the other.
+*/
+async function runTasks(config, flags, output) {
+	const results = [];
+	const taskNames = flags.task.length > 0 ? flags.task : Object.keys(config.tasks);
+	for (const name of taskNames) {
+		if (!Object.hasOwn(config.tasks, name)) {
+			throw new CliError(`Unknown task \`${name}\` in \`${config.path}\``);
+		}
+
+		const task = resolveTask(name, config.tasks[name], {
+			configPath: config.path,
+			flagDefinitions,
+			flags,
+		});
+
+		try {
+			// eslint-disable-next-line no-await-in-loop
+			results.push(await runCopyToDestinations(task.input, task.flags, output));
+		} catch (error) {
+			if (error.name === 'CpyError' || error.name === 'CliError') {
+				error.message = `Task \`${name}\`: ${error.message}`;
+			}
+
+			throw error;
+		}
+	}
+
+	return mergeResults(results);
+}
+
+/**
+Run the copy the parsed arguments describe, which is each task of the config when there are no sources.
+
+@param {string[]} input - The sources and the destination.
+@param {Record<string, unknown>} flags - Parsed with `flagDefinitions`.
+@param {object} output
+@param {(message: string) => void} output.log - For what goes to stdout.
+@param {(message: unknown) => void} output.logError - For what goes to stderr.
+@returns {Promise<{operations: Array<ReturnType<typeof import('./operations.js').createOperation>>, summary: ReturnType<typeof summarizeOperations>, watchers: Array<import('chokidar').FSWatcher>}>}
+*/
+export default async function run(input, flags, output) {
+	const hasTaskNames = flags.task.length > 0;
+	if (input.length > 0 && (hasTaskNames || flags.config !== undefined)) {
+		throw new CliError('`--task` and `--config` cannot be used with <source> and <destination>');
+	}
+
+	const config = input.length > 0
+		? undefined
+		: await loadConfig({cwd: process.cwd(), configPath: flags.config});
+
+	if (config === undefined && hasTaskNames) {
+		throw new CliError('`--task` requires a config file');
+	}
+
+	const result = config === undefined
+		? await runCopyToDestinations([...input], {...flags, cwd: flags.cwd ?? process.cwd()}, output)
+		: await runTasks(config, flags, output);
+
+	// Once for all tasks and destinations, so `--json` prints a single document.
+	printResult(result, {flags, ...output});
+
+	return result;
+}
@@ -0,0 +1,165 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import {isDynamicPattern} from 'globby';
+import CliError from './cli-error.js';
+import {getPatternRoot, isWithin} from './utilities.js';
+
+/**
+The values of `--symlinks`.
+*/
+export const symbolicLinkModes = ['follow', 'preserve', 'skip'];
+
+const getRoots = (patterns, cwd) => [...new Set(patterns
+	.filter(pattern => !pattern.startsWith('!'))
+	.map(pattern => getPatternRoot(pattern, cwd)))];
+
+// Directories that a negated pattern excludes as a whole, like `!node_modules/**`, so a cycle in there does not matter.
+const getExcludedDirectories = (patterns, cwd) => patterns
+	.filter(pattern => pattern.startsWith('!'))
+	.map(pattern => pattern.slice(1).replace(/\/\*\*(?:\/\*)?$/, ''))
+	.filter(pattern => !isDynamicPattern(pattern))
+	.map(pattern => path.resolve(cwd, pattern));
+
+const realpathOrUndefined = filePath => {
+	try {
+		return fs.realpathSync(filePath);
+	} catch {}
+};
+
+/**
+Walk the directories the patterns match in, following symbolic links like globbing does, and throw on a link to a directory that is being walked already. Globbing would never end there.
+
+@param {string[]} patterns
+@param {object} options
+@param {string} options.cwd
+@param {(filePath: string) => string} [options.toDisplayPath] - The path to show for a file, like its path in an archive instead of the extracted one.
+*/
+export const assertNoSymbolicLinkCycles = (patterns, {cwd, toDisplayPath = filePath => filePath}) => {
+	const excludedDirectories = getExcludedDirectories(patterns, cwd);
+
+	// Each directory comes with the real paths of the root and of the linked directories it is reached through.
+	const stack = getRoots(patterns, cwd).flatMap(root => {
+		const realRoot = realpathOrUndefined(root);
+		return realRoot === undefined ? [] : [{directory: root, realDirectory: realRoot, realAncestors: [realRoot]}];
+	});
+
+	while (stack.length > 0) {
+		const {directory, realDirectory, realAncestors} = stack.pop();
+
+		let entries;
+		try {
+			entries = fs.readdirSync(directory, {withFileTypes: true});
+		} catch {
+			continue;
+		}
+
+		for (const entry of entries) {
+			const entryPath = path.join(directory, entry.name);
+			if (excludedDirectories.includes(entryPath)) {
+				continue;
+			}
+
+			if (entry.isDirectory()) {
+				stack.push({directory: entryPath, realDirectory: path.join(realDirectory, entry.name), realAncestors});
+				continue;
+			}
+
+			if (!entry.isSymbolicLink()) {
+				continue;
+			}
+
+			const target = realpathOrUndefined(entryPath);
+			if (target === undefined || !fs.statSync(target).isDirectory()) {
+				continue;
+			}
+
+			if (isWithin(target, realDirectory) || realAncestors.some(ancestor => isWithin(target, ancestor))) {
+				const link = `\`${path.relative(cwd, toDisplayPath(entryPath))}\` points to \`${path.relative(cwd, toDisplayPath(target)) || '.'}\``;
+				throw new CliError(`Symbolic link ${link}, which contains it, so following it never ends. Exclude it with a negated pattern or skip links with --symlinks=skip.`);
+			}
+
+			stack.push({directory: entryPath, realDirectory: target, realAncestors: [...realAncestors, target]});
+		}
+	}
+};
+
+/**
+Find the outermost symbolic link on the way from the root to the file, the file itself included.
+*/
+const findOutermostLink = (root, filePath, isSymbolicLink) => {
+	let currentPath = root;
+	for (const segment of path.relative(root, filePath).split(path.sep)) {
+		currentPath = path.join(currentPath, segment);
+		if (isSymbolicLink(currentPath)) {
+			return currentPath;
+		}
+	}
+};
+
+/**
+Replace the files found through symbolic links with the links themselves, so they are recreated as links instead of copied.
+
+A relative link that points inside the pattern root keeps its target, as that is copied along. Any other relative link is rewritten to keep pointing at the same target from the destination.
+
+A link to a directory is only kept when the files under it keep their place relative to it, which `flat` and `rename` can change. Those files are copied instead.
+
+@param {import('./plan.js').PlannedFile[]} files - Found by following the links.
+@param {string[]} patterns
+@param {{cwd: string}} options
+@returns {import('./plan.js').PlannedFile[]}
+*/
+export const preserveSymbolicLinks = (files, patterns, {cwd}) => {
+	const roots = getRoots(patterns, cwd).sort((a, b) => b.length - a.length);
+
+	const linkStates = new Map();
+	const isSymbolicLink = filePath => {
+		if (!linkStates.has(filePath)) {
+			linkStates.set(filePath, fs.lstatSync(filePath).isSymbolicLink());
+		}
+
+		return linkStates.get(filePath);
+	};
+
+	const links = new Map();
+	const preservedFiles = [];
+
+	for (const file of files) {
+		const root = roots.find(root => isWithin(root, file.sourcePath));
+		const linkPath = root === undefined
+			? (isSymbolicLink(file.sourcePath) ? file.sourcePath : undefined)
+			: findOutermostLink(root, file.sourcePath, isSymbolicLink);
+
+		if (linkPath === undefined) {
+			preservedFiles.push(file);
+			continue;
+		}
+
+		const pathInLink = path.relative(linkPath, file.sourcePath);
+		if (pathInLink !== '' && !file.destinationPath.endsWith(path.sep + pathInLink)) {
+			preservedFiles.push(file);
+			continue;
+		}
+
+		const destinationPath = pathInLink === '' ? file.destinationPath : file.destinationPath.slice(0, -(pathInLink.length + 1));
+		const key = `${linkPath}\0${destinationPath}`;
+		if (links.has(key)) {
+			continue;
+		}
+
+		const target = fs.readlinkSync(linkPath);
+		const resolvedTarget = path.resolve(path.dirname(linkPath), target);
+		const isCopiedAlong = root !== undefined && isWithin(root, resolvedTarget);
+
+		const link = {
+			sourcePath: linkPath,
+			destinationPath,
+			relativePath: path.relative(cwd, linkPath),
+			linkTarget: path.isAbsolute(target) || isCopiedAlong ? target : path.relative(path.dirname(destinationPath), resolvedTarget),
+		};
+
+		links.set(key, link);
+		preservedFiles.push(link);
+	}
+
+	return preservedFiles;
+};
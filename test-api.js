@@ -0,0 +1,129 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import process from 'node:process';
+import {syncBuiltinESMExports} from 'node:module';
+import test from 'ava';
+import tempfile from 'tempfile';
+import {runCpy} from './index.js';
+
+const read = (...arguments_) => fs.readFileSync(path.join(...arguments_), 'utf8');
+
+test.beforeEach(t => {
+	t.context.tmp = tempfile();
+});
+
+// Serial, as it points the temporary directories of the whole process elsewhere.
+test.serial('runCpy removes the temporary directories of archives once it is done', async t => {
+	const temporaryDirectory = path.join(t.context.tmp, 'tmp');
+	fs.mkdirSync(temporaryDirectory, {recursive: true});
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+
+	const originalTemporaryDirectory = process.env.TMPDIR;
+	const listenerCounts = ['exit', 'SIGINT', 'SIGTERM'].map(eventName => process.listenerCount(eventName));
+	process.env.TMPDIR = temporaryDirectory;
+
+	try {
+		await runCpy(['src/*.txt', 'release.zip', '--cwd', t.context.tmp]);
+		await runCpy(['release.zip/**', 'extracted', '--cwd', t.context.tmp]);
+		await t.throwsAsync(runCpy(['release.zip/*.md', 'release.tar', '--cwd', t.context.tmp]), {message: /No files matched/});
+	} finally {
+		if (originalTemporaryDirectory === undefined) {
+			delete process.env.TMPDIR;
+		} else {
+			process.env.TMPDIR = originalTemporaryDirectory;
+		}
+	}
+
+	t.is(read(t.context.tmp, 'extracted/a.txt'), 'a');
+	t.deepEqual(fs.readdirSync(temporaryDirectory), []);
+	t.deepEqual(['exit', 'SIGINT', 'SIGTERM'].map(eventName => process.listenerCount(eventName)), listenerCounts);
+});
+
+// Serial, as it counts the reads of the whole process.
+test.serial('runCpy reads each source once for all the --to destinations', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/b.txt'), 'b');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/c.md'), 'c');
+
+	const readPaths = [];
+	const {createReadStream} = fs;
+	fs.createReadStream = (filePath, ...arguments_) => {
+		readPaths.push(filePath);
+		return createReadStream(filePath, ...arguments_);
+	};
+
+	syncBuiltinESMExports();
+
+	try {
+		await runCpy(['src/*.txt', '--to=one', '--to=two', '--to=three.zip', '--cwd', t.context.tmp]);
+		await runCpy(['src/*.md', '--to=one', '--to=two', '--cwd', t.context.tmp, '--verify', '--replace=c=d']);
+	} finally {
+		fs.createReadStream = createReadStream;
+		syncBuiltinESMExports();
+	}
+
+	const sourceReads = readPaths.filter(filePath => path.basename(path.dirname(filePath)) === 'src').map(filePath => path.basename(filePath));
+	t.deepEqual(sourceReads.sort(), ['a.txt', 'b.txt', 'c.md']);
+
+	await runCpy(['three.zip/**', 'extracted', '--cwd', t.context.tmp]);
+	for (const destination of ['one', 'two', 'extracted']) {
+		t.is(read(t.context.tmp, destination, 'a.txt'), 'a');
+		t.is(read(t.context.tmp, destination, 'b.txt'), 'b');
+	}
+
+	t.is(read(t.context.tmp, 'one/c.md'), 'd');
+	t.is(read(t.context.tmp, 'two/c.md'), 'd');
+
+	// A destination that fails does not keep the others from getting the whole file.
+	fs.mkdirSync(path.join(t.context.tmp, 'four/a.txt'), {recursive: true});
+	await t.throwsAsync(runCpy(['src/a.txt', '--to=four', '--to=five', '--cwd', t.context.tmp, '--flat']), {message: /EISDIR/});
+	t.is(read(t.context.tmp, 'five/a.txt'), 'a');
+
+	// Also when it fails before it would read the source.
+	fs.mkdirSync(path.join(t.context.tmp, 'six'));
+	fs.linkSync(path.join(t.context.tmp, 'src/a.txt'), path.join(t.context.tmp, 'six/a.txt'));
+	await t.throwsAsync(runCpy(['src/a.txt', '--to=six', '--to=seven', '--cwd', t.context.tmp, '--flat']), {message: /Refusing to copy to itself/});
+	t.is(read(t.context.tmp, 'seven/a.txt'), 'a');
+});
+
+test('runCpy copies like the command and returns the operations', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/b.txt'), 'b');
+
+	const messages = [];
+	const {operations, summary, close} = await runCpy(['src/a.txt', 'dist/renamed.txt', '--cwd', t.context.tmp, '--dry-run'], {
+		log(message) {
+			messages.push(message);
+		},
+	});
+
+	t.deepEqual(operations.map(({action, destination}) => ({action, destination})), [
+		{action: 'renamed', destination: path.join(t.context.tmp, 'dist/renamed.txt')},
+	]);
+	t.like(summary, {dryRun: true, copiedFiles: 1});
+	t.is(close, undefined);
+	t.is(messages.length, 1);
+	t.false(fs.existsSync(path.join(t.context.tmp, 'dist')));
+
+	const result = await runCpy({
+		sources: ['src/*.txt'],
+		destination: 'dist',
+		cwd: t.context.tmp,
+		rename: 'copy-{{basename}}',
+	});
+	t.is(result.summary.copiedFiles, 2);
+	t.is(read(t.context.tmp, 'dist/copy-a.txt'), 'a');
+	t.is(read(t.context.tmp, 'dist/copy-b.txt'), 'b');
+});
+
+test('runCpy throws the errors of the command', async t => {
+	fs.mkdirSync(t.context.tmp);
+
+	await t.throwsAsync(runCpy({sources: ['*.txt'], destination: 'dist', flat: 'yes'}), {message: 'Option `flat` in the options of `runCpy` must be a boolean'});
+	await t.throwsAsync(runCpy({sources: ['*.txt']}), {message: '`runCpy` needs `sources` and a `destination` or `to`'});
+	await t.throwsAsync(runCpy(['nothing/*.txt', 'dist', '--cwd', t.context.tmp]), {message: /No files matched/});
+	await t.throwsAsync(runCpy('src'), {instanceOf: TypeError});
+});
@@ -0,0 +1,157 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import test from 'ava';
+import tempfile from 'tempfile';
+import {execa} from 'execa';
+import {pathExistsSync} from 'path-exists';
+
+const read = (...arguments_) => fs.readFileSync(path.join(...arguments_), 'utf8');
+
+test.beforeEach(t => {
+	t.context.tmp = tempfile();
+});
+
+const cliPath = path.resolve('cli.js');
+
+const writeConfigFixture = (directory, filename, config) => {
+	fs.mkdirSync(path.join(directory, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(directory, 'src/a.png'), 'png');
+	fs.writeFileSync(path.join(directory, 'src/b.txt'), 'txt');
+	fs.writeFileSync(path.join(directory, filename), JSON.stringify(config));
+};
+
+test('runs all tasks of the cpy key in package.json without arguments', async t => {
+	writeConfigFixture(t.context.tmp, 'package.json', {
+		cpy: {
+			images: {sources: 'src/*.png', destination: 'dist/img'},
+			text: {sources: ['src/*.txt'], destination: 'dist/text', rename: '{{name|upper}}.{{ext}}'},
+		},
+	});
+
+	await execa(cliPath, [], {cwd: t.context.tmp});
+
+	t.is(read(t.context.tmp, 'dist/img/a.png'), 'png');
+	t.is(read(t.context.tmp, 'dist/text/B.txt'), 'txt');
+});
+
+test('task runs only the named tasks with the flags of the command line', async t => {
+	writeConfigFixture(t.context.tmp, 'cpy.config.json', {
+		images: {sources: 'src/*.png', destination: 'dist/img'},
+		text: {sources: 'src/*.txt', destination: 'dist/text'},
+	});
+
+	const {stdout} = await execa(cliPath, ['--task=images', '--dry-run'], {cwd: t.context.tmp});
+
+	t.is(stdout, `${path.join('src', 'a.png')} → ${path.join('dist', 'img', 'a.png')}`);
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dist')));
+});
+
+test('config resolves a relative cwd against its directory', async t => {
+	writeConfigFixture(t.context.tmp, 'tasks.json', {
+		images: {sources: '*.png', destination: '../dist', cwd: 'src'},
+	});
+
+	await execa('./cli.js', [`--config=${path.join(t.context.tmp, 'tasks.json')}`]);
+
+	t.is(read(t.context.tmp, 'dist/a.png'), 'png');
+});
+
+test('cwd from the command line applies to tasks without their own', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'sub/src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'sub/src/a.png'), 'png');
+	fs.writeFileSync(path.join(t.context.tmp, 'sub/src/b.txt'), 'txt');
+	fs.writeFileSync(path.join(t.context.tmp, 'cpy.config.json'), JSON.stringify({
+		text: {sources: 'src/*.txt', destination: 'dist'},
+		// Its own `cwd` wins over `--cwd`.
+		images: {sources: '*.png', destination: '../dist', cwd: 'sub/src'},
+	}));
+
+	const {stdout} = await execa(cliPath, ['--cwd=sub', '--dry-run'], {cwd: t.context.tmp});
+
+	t.deepEqual(stdout.split('\n'), [
+		`${path.join('sub', 'src', 'b.txt')} → ${path.join('sub', 'dist', 'b.txt')}`,
+		`${path.join('sub', 'src', 'a.png')} → ${path.join('sub', 'dist', 'a.png')}`,
+	]);
+});
+
+test('unknown task errors', async t => {
+	writeConfigFixture(t.context.tmp, 'cpy.config.json', {
+		images: {sources: 'src/*.png', destination: 'dist'},
+	});
+
+	await t.throwsAsync(
+		execa(cliPath, ['--task=nope'], {cwd: t.context.tmp}),
+		{message: /Unknown task `nope`/},
+	);
+});
+
+test('task with an unknown or invalid option errors', async t => {
+	writeConfigFixture(t.context.tmp, 'cpy.config.json', {
+		images: {sources: 'src/*.png', destination: 'dist', nope: true},
+	});
+
+	await t.throwsAsync(
+		execa(cliPath, [], {cwd: t.context.tmp}),
+		{message: /Unknown option `nope` in task `images`/},
+	);
+
+	writeConfigFixture(t.context.tmp, 'cpy.config.json', {
+		images: {sources: 'src/*.png', destination: 'dist', flat: 'yes'},
+	});
+
+	await t.throwsAsync(
+		execa(cliPath, [], {cwd: t.context.tmp}),
+		{message: /Option `flat` in task `images` must be a boolean/},
+	);
+});
+
+test('json reports on all tasks at once, which only the command line can ask for', async t => {
+	writeConfigFixture(t.context.tmp, 'cpy.config.json', {
+		images: {sources: 'src/*.png', destination: 'dist/img'},
+		text: {sources: 'src/*.txt', destination: 'dist/text'},
+	});
+
+	const {stdout} = await execa(cliPath, ['--json'], {cwd: t.context.tmp});
+	const {operations, summary} = JSON.parse(stdout);
+
+	t.deepEqual(operations.map(({destination}) => path.relative(t.context.tmp, destination)), [path.join('dist', 'img', 'a.png'), path.join('dist', 'text', 'b.txt')]);
+	t.is(summary.copiedFiles, 2);
+
+	writeConfigFixture(t.context.tmp, 'cpy.config.json', {
+		images: {sources: 'src/*.png', destination: 'dist', stats: true},
+	});
+
+	await t.throwsAsync(
+		execa(cliPath, [], {cwd: t.context.tmp}),
+		{message: /Option `stats` in task `images` can only be given on the command line/},
+	);
+});
+
+test('task requires a config file', async t => {
+	fs.mkdirSync(t.context.tmp);
+
+	await t.throwsAsync(
+		execa(cliPath, ['--task=images'], {cwd: t.context.tmp}),
+		{message: /`--task` requires a config file/},
+	);
+});
+
+test('task copies to each of its to destinations', async t => {
+	writeConfigFixture(t.context.tmp, 'cpy.config.json', {
+		images: {sources: 'src/*.png', to: ['web', 'admin']},
+	});
+
+	await execa(cliPath, [], {cwd: t.context.tmp});
+
+	t.is(read(t.context.tmp, 'web/a.png'), 'png');
+	t.is(read(t.context.tmp, 'admin/a.png'), 'png');
+
+	writeConfigFixture(t.context.tmp, 'cpy.config.json', {
+		images: {sources: 'src/*.png', destination: 'dist', to: ['web']},
+	});
+
+	await t.throwsAsync(
+		execa(cliPath, [], {cwd: t.context.tmp}),
+		{message: /Task `images` cannot have both a `destination` and `to`/},
+	);
+});
@@ -0,0 +1,99 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import process from 'node:process';
+import {Buffer} from 'node:buffer';
+import {PassThrough} from 'node:stream';
+import test from 'ava';
+import tempfile from 'tempfile';
+import createOverwritePrompt, {formatDiff} from './prompt.js';
+
+// Answers each question with the next answer, and ends the input like Ctrl+D once there are none left.
+const createTerminal = answers => {
+	const input = new PassThrough();
+	input.isTTY = true;
+
+	const output = new PassThrough();
+	let written = '';
+	output.on('data', data => {
+		written += data;
+
+		if (String(data).endsWith('[d]iff? ')) {
+			if (answers.length > 0) {
+				input.write(`${answers.shift()}\n`);
+			} else {
+				input.end();
+			}
+		}
+	});
+
+	return {input, output, getWritten: () => written};
+};
+
+const writeFiles = (directory, names, {existing = names} = {}) => names.map(name => {
+	const file = {
+		sourcePath: path.join(directory, 'src', name),
+		destinationPath: path.join(directory, 'dest', name),
+		relativePath: name,
+	};
+
+	fs.mkdirSync(path.dirname(file.sourcePath), {recursive: true});
+	fs.mkdirSync(path.dirname(file.destinationPath), {recursive: true});
+	fs.writeFileSync(file.sourcePath, `new ${name}\n`);
+
+	if (existing.includes(name)) {
+		fs.writeFileSync(file.destinationPath, `old ${name}\n`);
+	}
+
+	return file;
+});
+
+test.beforeEach(t => {
+	t.context.tmp = tempfile();
+});
+
+test('prompt asks before each overwrite and shows the diff on request', async t => {
+	const [a, b, c, d] = writeFiles(t.context.tmp, ['a.txt', 'b.txt', 'c.txt', 'd.txt'], {existing: ['a.txt', 'b.txt', 'c.txt']});
+	const terminal = createTerminal(['d', 'y', 'maybe', 'N', 'all']);
+	const prompt = createOverwritePrompt(terminal);
+
+	t.deepEqual(await prompt.confirm([a, b, c, d]), {confirmed: [a, c, d], declined: [b]});
+
+	const written = terminal.getWritten();
+	t.is(written.match(/Overwrite /g).length, 3);
+	t.true(written.includes(`Overwrite ${path.relative(process.cwd(), a.destinationPath)}?`));
+	t.true(written.includes('-old a.txt\n+new a.txt'));
+	t.is(written.match(/\[d]iff\? /g).length, 5);
+
+	// `all` answers for the next destinations too.
+	const [other] = writeFiles(path.join(t.context.tmp, 'other'), ['e.txt']);
+	t.deepEqual(await prompt.confirm([other]), {confirmed: [other], declined: []});
+	t.is(terminal.getWritten(), written);
+});
+
+test('prompt declines the rest with none and is canceled when the input ends', async t => {
+	const [a, b] = writeFiles(t.context.tmp, ['a.txt', 'b.txt']);
+
+	const noneTerminal = createTerminal(['o']);
+	t.deepEqual(await createOverwritePrompt(noneTerminal).confirm([a, b]), {confirmed: [], declined: [a, b]});
+
+	const endedTerminal = createTerminal([]);
+	await t.throwsAsync(createOverwritePrompt(endedTerminal).confirm([a, b]), {message: `Canceled at \`${path.relative(process.cwd(), a.destinationPath)}\``});
+});
+
+test('prompt requires a terminal', t => {
+	t.throws(() => createOverwritePrompt({input: new PassThrough(), output: new PassThrough()}), {message: /`--interactive` requires a terminal/});
+});
+
+test('formatDiff shows what overwriting changes, or that the files are identical or binary', t => {
+	const [file] = writeFiles(t.context.tmp, ['a.txt']);
+	const source = path.relative(process.cwd(), file.sourcePath);
+	const destination = path.relative(process.cwd(), file.destinationPath);
+
+	t.is(formatDiff(file), `--- ${destination}\n+++ ${source}\n@@ -1,1 +1,1 @@\n-old a.txt\n+new a.txt`);
+
+	fs.copyFileSync(file.sourcePath, file.destinationPath);
+	t.is(formatDiff(file), 'The files are identical');
+
+	fs.writeFileSync(file.destinationPath, Buffer.from([0, 1, 2]));
+	t.is(formatDiff(file), 'The files are binary and differ');
+});
@@ -0,0 +1,134 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import test from 'ava';
+import tempfile from 'tempfile';
+import {pathExistsSync} from 'path-exists';
+import watchSources from './watch.js';
+import {runCpy} from './index.js';
+
+const read = (...arguments_) => fs.readFileSync(path.join(...arguments_), 'utf8');
+
+const waitFor = async (condition, timeout = 30_000) => {
+	const start = Date.now();
+	while (!condition()) {
+		if (Date.now() - start > timeout) {
+			throw new Error('Timed out waiting for condition');
+		}
+
+		// eslint-disable-next-line no-await-in-loop
+		await new Promise(resolve => {
+			setTimeout(resolve, 50);
+		});
+	}
+};
+
+// In the test process rather than a subprocess, so a busy machine does not keep the watcher from starting in time.
+const startWatching = async (t, arguments_) => {
+	const messages = [];
+	const {close} = await runCpy([...arguments_, '--watch'], {
+		log(message) {
+			messages.push(message);
+		},
+	});
+
+	t.teardown(close);
+
+	return messages;
+};
+
+test.beforeEach(t => {
+	t.context.tmp = tempfile();
+});
+
+test.serial('watch copies added and changed files', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+
+	await startWatching(t, ['src/*.txt', 'dest', '--cwd', t.context.tmp]);
+
+	t.is(read(t.context.tmp, 'dest/a.txt'), 'a');
+
+	fs.writeFileSync(path.join(t.context.tmp, 'src/b.txt'), 'b');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'changed');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/c.md'), 'c');
+
+	await waitFor(() => pathExistsSync(path.join(t.context.tmp, 'dest/b.txt')) && read(t.context.tmp, 'dest/a.txt') === 'changed');
+
+	t.is(read(t.context.tmp, 'dest/b.txt'), 'b');
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest/c.md')));
+});
+
+test.serial('watch respects rename and negated patterns', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+
+	await startWatching(t, ['src/*.txt', '!src/skip.txt', 'dest', '--cwd', t.context.tmp, '--rename=hi-{{basename}}']);
+
+	fs.writeFileSync(path.join(t.context.tmp, 'src/skip.txt'), 'skip');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/b.txt'), 'b');
+
+	await waitFor(() => pathExistsSync(path.join(t.context.tmp, 'dest/hi-b.txt')));
+
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest/hi-skip.txt')));
+});
+
+test.serial('watch removes destination files of deleted sources with --delete', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/b.txt'), 'b');
+
+	const messages = await startWatching(t, ['src/*.txt', 'dest', '--cwd', t.context.tmp, '--delete']);
+
+	t.true(pathExistsSync(path.join(t.context.tmp, 'dest/a.txt')));
+
+	fs.rmSync(path.join(t.context.tmp, 'src/a.txt'));
+
+	await waitFor(() => messages.join('\n').includes('Removed'));
+
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest/a.txt')));
+	t.true(pathExistsSync(path.join(t.context.tmp, 'dest/b.txt')));
+});
+
+test.serial('watch counts {{index}} from 1 on each change', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	for (const name of ['a', 'b', 'c']) {
+		fs.writeFileSync(path.join(t.context.tmp, `src/${name}.txt`), name);
+	}
+
+	const messages = await startWatching(t, ['src/*.txt', 'dest', '--cwd', t.context.tmp, '--rename={{index}}-{{name}}.{{ext}}', '--delete']);
+
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'changed');
+	await waitFor(() => messages.join('\n').includes('→'));
+
+	fs.rmSync(path.join(t.context.tmp, 'src/c.txt'));
+	await waitFor(() => messages.join('\n').includes('Removed'));
+
+	t.is(read(t.context.tmp, 'dest/1-a.txt'), 'changed');
+	t.is(read(t.context.tmp, 'dest/2-b.txt'), 'b');
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'dest')).sort(), ['1-a.txt', '2-b.txt']);
+	t.is(messages.filter(message => message.startsWith('Removed')).length, 1);
+});
+
+test.serial('watch reports errors of the watcher instead of crashing', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+
+	const errors = [];
+	const watcher = await watchSources(['src/*.txt'], {
+		cwd: t.context.tmp,
+		destination: 'dest',
+		onChange() {},
+		onError(error) {
+			errors.push(error);
+		},
+	});
+	t.teardown(() => watcher.close());
+
+	const error = new Error('ENOSPC: System limit for number of file watchers reached');
+	watcher.emit('error', error);
+
+	t.deepEqual(errors, [error]);
+});
@@ -1,10 +1,15 @@
 import path from 'node:path';
 import fs from 'node:fs';
 import process from 'node:process';
+import os from 'node:os';
+import crypto from 'node:crypto';
+import {Buffer} from 'node:buffer';
+import {pipeline} from 'node:stream/promises';
 import test from 'ava';
 import tempfile from 'tempfile';
 import {execa} from 'execa';
 import {pathExistsSync} from 'path-exists';
+import yazl from 'yazl';
 
 const read = (...arguments_) => fs.readFileSync(path.join(...arguments_), 'utf8');
 
@@ -156,6 +161,30 @@ test('ignore existing files when --ignore-existing is set', async t => {
 	t.is(read(t.context.tmp, 'dest/hello.js'), 'console.log("world");');
 });
 
+test('interactive refuses to run without a terminal', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'dest'));
+	fs.writeFileSync(path.join(t.context.tmp, 'hello.js'), 'console.log("hello");');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/hello.js'), 'console.log("world");');
+
+	await t.throwsAsync(
+		execa('./cli.js', ['hello.js', 'dest', '--cwd', t.context.tmp, '-i'], {input: 'y\n'}),
+		{message: /`--interactive` requires a terminal/},
+	);
+
+	await t.throwsAsync(
+		execa('./cli.js', ['hello.js', 'dest', '--cwd', t.context.tmp, '--interactive', '--ignore-existing']),
+		{message: /`--interactive` cannot be used with/},
+	);
+
+	await t.throwsAsync(
+		execa('./cli.js', ['hello.js', 'dest', '--cwd', t.context.tmp, '--interactive', '--dry-run']),
+		{message: /`--interactive` cannot be used with `--watch`, `--dry-run`/},
+	);
+
+	t.is(read(t.context.tmp, 'dest/hello.js'), 'console.log("world");');
+});
+
 test('update only copies when source is newer or size differs at the same mtime', async t => {
 	const temporaryDirectory = t.context.tmp;
 	const destinationDirectory = path.join(temporaryDirectory, 'dest');
@@ -383,6 +412,35 @@ test('flatten directory tree', async t => {
 	t.falsy(fs.existsSync(path.join(t.context.tmp, 'destination/subdir/baz.ts')));
 });
 
+test('on-conflict resolves sources that flatten to the same destination', async t => {
+	for (const directory of ['a', 'b', 'c']) {
+		fs.mkdirSync(path.join(t.context.tmp, 'icons', directory), {recursive: true});
+		fs.writeFileSync(path.join(t.context.tmp, 'icons', directory, 'x.svg'), directory);
+	}
+
+	fs.writeFileSync(path.join(t.context.tmp, 'icons/a/x-1.svg'), 'taken');
+	fs.utimesSync(path.join(t.context.tmp, 'icons/b/x.svg'), new Date(), new Date(Date.now() + 60_000));
+
+	await t.throwsAsync(
+		execa('./cli.js', ['icons/**', 'error', '--cwd', t.context.tmp, '--flat', '--on-conflict=error']),
+		{message: /error\/x\.svg: icons\/a\/x\.svg, icons\/b\/x\.svg, icons\/c\/x\.svg/},
+	);
+	t.false(fs.existsSync(path.join(t.context.tmp, 'error')));
+
+	const {stdout} = await execa('./cli.js', ['icons/**', 'skip', '--cwd', t.context.tmp, '--flat', '--on-conflict=skip', '--json']);
+	t.deepEqual(JSON.parse(stdout).operations.map(({action}) => action).sort(), ['copied', 'skipped-conflict', 'skipped-conflict', 'skipped-conflict']);
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'skip')), ['x-1.svg']);
+
+	await execa('./cli.js', ['icons/**', 'newest', '--cwd', t.context.tmp, '--flat', '--on-conflict=newest']);
+	t.is(read(t.context.tmp, 'newest/x.svg'), 'b');
+
+	await execa('./cli.js', ['icons/**', 'suffix', '--cwd', t.context.tmp, '--flat', '--on-conflict=suffix']);
+	t.is(read(t.context.tmp, 'suffix/x.svg'), 'a');
+	t.is(read(t.context.tmp, 'suffix/x-1.svg'), 'taken');
+	t.is(read(t.context.tmp, 'suffix/x-2.svg'), 'b');
+	t.is(read(t.context.tmp, 'suffix/x-3.svg'), 'c');
+});
+
 test('copy directory as source (preserves structure)', async t => {
 	fs.mkdirSync(t.context.tmp);
 	fs.mkdirSync(path.join(t.context.tmp, 'src'));
@@ -616,3 +674,830 @@ test('single file copy to ancestor directory avoids duplication', async t => {
 	t.is(read(t.context.tmp, 'prisma/schema.prisma'), 'schema');
 	t.false(pathExistsSync(path.join(t.context.tmp, 'prisma/prisma/parts/schema.prisma')));
 });
+
+test('delete removes destination files that no source maps to', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+	fs.mkdirSync(path.join(t.context.tmp, 'dest/stale'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/old.txt'), 'old');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/stale/old.txt'), 'old');
+
+	await execa('./cli.js', ['src/*.txt', 'dest', '--cwd', t.context.tmp, '--delete']);
+
+	t.is(read(t.context.tmp, 'dest/a.txt'), 'a');
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest/old.txt')));
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest/stale')));
+	t.true(pathExistsSync(path.join(t.context.tmp, 'dest')));
+});
+
+test('delete keeps files skipped by update and protected files', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+	fs.mkdirSync(path.join(t.context.tmp, 'dest'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/a.txt'), 'newer');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/config.json'), '{}');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/old.txt'), 'old');
+
+	const olderTime = new Date('2020-01-01T00:00:00Z');
+	fs.utimesSync(path.join(t.context.tmp, 'src/a.txt'), olderTime, olderTime);
+
+	await execa('./cli.js', ['src/*.txt', 'dest', '--cwd', t.context.tmp, '--update', '--delete', '--protect=*.json']);
+
+	t.is(read(t.context.tmp, 'dest/a.txt'), 'newer');
+	t.is(read(t.context.tmp, 'dest/config.json'), '{}');
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest/old.txt')));
+});
+
+test('delete with dry run lists planned removals without removing', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+	fs.mkdirSync(path.join(t.context.tmp, 'dest'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/old.txt'), 'old');
+
+	const {stdout} = await execa('./cli.js', ['src/*.txt', 'dest', '--cwd', t.context.tmp, '--delete', '--dry-run']);
+
+	t.regex(stdout, /Would remove .*old\.txt/);
+	t.true(pathExistsSync(path.join(t.context.tmp, 'dest/old.txt')));
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest/a.txt')));
+});
+
+test('delete refuses a destination that contains a source', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'dest/nested'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/nested/a.txt'), 'a');
+
+	await t.throwsAsync(
+		execa('./cli.js', ['dest/nested/*.txt', 'dest', '--cwd', t.context.tmp, '--flat', '--delete']),
+		{message: /Refusing to delete/},
+	);
+
+	t.true(pathExistsSync(path.join(t.context.tmp, 'dest/nested/a.txt')));
+});
+
+test('json output reports copied and skipped files with a summary', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+	fs.mkdirSync(path.join(t.context.tmp, 'dest'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/new file.txt'), 'new');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/existing.txt'), 'source');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/existing.txt'), 'destination');
+
+	const {stdout} = await execa('./cli.js', ['src/*.txt', 'dest', '--cwd', t.context.tmp, '--ignore-existing', '--json']);
+	const {operations, summary} = JSON.parse(stdout);
+
+	t.deepEqual(operations, [
+		{
+			action: 'copied',
+			source: path.join(t.context.tmp, 'src/new file.txt'),
+			destination: path.join(t.context.tmp, 'dest/new file.txt'),
+			size: 3,
+		},
+		{
+			action: 'skipped-existing',
+			source: path.join(t.context.tmp, 'src/existing.txt'),
+			destination: path.join(t.context.tmp, 'dest/existing.txt'),
+			size: 6,
+		},
+	]);
+	t.deepEqual(summary, {
+		dryRun: false,
+		copiedFiles: 1,
+		skippedFiles: 1,
+		removedFiles: 0,
+		createdDirectories: 0,
+		copiedSize: 3,
+	});
+});
+
+test('ndjson output streams planned operations of a dry run', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a → b.txt'), 'arrow');
+
+	const {stdout} = await execa('./cli.js', ['src/*.txt', 'dest', '--cwd', t.context.tmp, '--rename=x-{{basename}}', '--dry-run', '--ndjson']);
+	const lines = stdout.split('\n').map(line => JSON.parse(line));
+
+	t.is(lines.length, 2);
+	t.is(lines[0].action, 'renamed');
+	t.is(lines[0].destination, path.join(t.context.tmp, 'dest/x-a → b.txt'));
+	t.true(lines[1].summary.dryRun);
+	t.is(lines[1].summary.copiedFiles, 1);
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest')));
+});
+
+test('progress prints plain lines when not on a TTY and stats prints a summary', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+	fs.mkdirSync(path.join(t.context.tmp, 'dest'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/b.txt'), 'b');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/b.txt'), 'b');
+
+	const {stdout, stderr} = await execa('./cli.js', ['src/*.txt', 'dest', '--cwd', t.context.tmp, '--ignore-existing', '--progress', '--stats']);
+
+	t.is(stdout, '');
+	t.regex(stderr, /1\/1 files {2}1 B/);
+	t.false(stderr.includes('\r'));
+	t.regex(stderr, /Copied 1 file \(1 B\), skipped 1, removed 0$/);
+});
+
+test('rename template with name, hash and extension tokens', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/app.js'), 'console.log("hello");');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/LICENSE'), 'MIT');
+
+	await execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--rename={{name}}.{{hash:8}}.{{ext}}']);
+
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'dest')).sort(), ['LICENSE.e5dcffe8', 'app.3781f94e.js']);
+});
+
+test('rename template can change the extension and the case', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src/Icons'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/Icons/ArrowLeft.svg'), '<svg/>');
+
+	await execa('./cli.js', ['src/**', 'dest', '--cwd', t.context.tmp, '--flat', '--rename={{dir|lower}}-{{name|kebab}}-{{index:2}}.xml']);
+
+	t.is(read(t.context.tmp, 'dest/icons-arrow-left-01.xml'), '<svg/>');
+});
+
+test('rename template with an unknown token errors', async t => {
+	await t.throwsAsync(
+		execa('./cli.js', ['src', 'dest', '--rename={{nope}}']),
+		{message: /Unknown rename token `{{nope}}`/},
+	);
+});
+
+test('path regex rewrites the destination path with capture groups', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src/locales/en'), {recursive: true});
+	fs.mkdirSync(path.join(t.context.tmp, 'src/locales/de'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/locales/en/messages.json'), 'en');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/locales/de/messages.json'), 'de');
+
+	await execa('./cli.js', ['src/locales/*/messages.json', 'dist', '--cwd', t.context.tmp, String.raw`--path-regex=s#^(.+)/messages\.json$#messages.$1.json#`]);
+
+	t.is(read(t.context.tmp, 'dist/messages.en.json'), 'en');
+	t.is(read(t.context.tmp, 'dist/messages.de.json'), 'de');
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dist/en')));
+});
+
+test('rename regex rewrites the filename', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.mkdirSync(path.join(t.context.tmp, 'src/nested'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/nested/app.test.js'), 'test');
+
+	await execa('./cli.js', ['src/**', 'dist', '--cwd', t.context.tmp, String.raw`--rename-regex=s/\.test(\.js)$/.spec$1/`, '--rename-regex=s/^/x-/']);
+
+	t.is(read(t.context.tmp, 'dist/nested/x-app.spec.js'), 'test');
+});
+
+test('path regex must stay inside the destination', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.writeFileSync(path.join(t.context.tmp, 'a.txt'), 'a');
+
+	await t.throwsAsync(
+		execa('./cli.js', ['*.txt', 'dist', '--cwd', t.context.tmp, String.raw`--path-regex=s/^/..\/..\//`]),
+		{message: /not inside the destination/},
+	);
+});
+
+test('invalid substitution errors', async t => {
+	await t.throwsAsync(
+		execa('./cli.js', ['src', 'dest', '--rename-regex=s/a/b']),
+		{message: /Invalid substitution/},
+	);
+});
+
+test('checksum only copies files whose contents differ, whatever their modification times', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.mkdirSync(path.join(t.context.tmp, 'dest'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/same.txt'), 'same');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/changed.txt'), 'new!');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/same.txt'), 'same');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/changed.txt'), 'old!');
+
+	// Destinations that look newer, as after a checkout, would be skipped by --update alone.
+	const future = new Date(Date.now() + 60_000);
+	fs.utimesSync(path.join(t.context.tmp, 'dest/same.txt'), future, future);
+	fs.utimesSync(path.join(t.context.tmp, 'dest/changed.txt'), future, future);
+
+	const {stdout} = await execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--checksum', '--json']);
+	const actions = Object.fromEntries(JSON.parse(stdout).operations.map(({action, source}) => [path.basename(source), action]));
+
+	t.deepEqual(actions, {'same.txt': 'skipped-up-to-date', 'changed.txt': 'copied'});
+	t.is(read(t.context.tmp, 'dest/changed.txt'), 'new!');
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest/.cpy-checksums.json')));
+});
+
+test('checksum cache keeps the checksums in the destination and is kept by --delete', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+
+	const arguments_ = ['src/*', 'dest', '--cwd', t.context.tmp, '--checksum', '--checksum-cache', '--delete'];
+	await execa('./cli.js', arguments_);
+
+	const manifest = JSON.parse(read(t.context.tmp, 'dest/.cpy-checksums.json'));
+	t.is(manifest.files['a.txt'].checksum, '86f7e437faa5a7fce15d1ddcb9eaeaea377667b8');
+	t.is(manifest.files['../src/a.txt'].checksum, '86f7e437faa5a7fce15d1ddcb9eaeaea377667b8');
+
+	const {stdout} = await execa('./cli.js', [...arguments_, '--json']);
+	t.deepEqual(JSON.parse(stdout).operations.map(({action}) => action), ['skipped-up-to-date']);
+	t.true(pathExistsSync(path.join(t.context.tmp, 'dest/.cpy-checksums.json')));
+});
+
+test('checksum compares transformed files with the source as the transform writes it', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'version __VERSION__');
+
+	const copy = async (replace, ...arguments_) => {
+		const {stderr} = await execa('./cli.js', ['src/*', 'dist', '--cwd', t.context.tmp, '--checksum', `--replace=__VERSION__=${replace}`, '--stats', ...arguments_]);
+		return stderr;
+	};
+
+	for (const arguments_ of [[], ['--checksum-cache']]) {
+		fs.rmSync(path.join(t.context.tmp, 'dist'), {recursive: true, force: true});
+
+		/* eslint-disable no-await-in-loop */
+		t.regex(await copy('1', ...arguments_), /^Copied 1 file/);
+		t.regex(await copy('1', ...arguments_), /^Copied 0 files .*skipped 1/);
+		t.regex(await copy('2', ...arguments_), /^Copied 1 file/);
+		/* eslint-enable no-await-in-loop */
+		t.is(read(t.context.tmp, 'dist/a.txt'), 'version 2');
+	}
+});
+
+test('checksum cache requires checksum', async t => {
+	await t.throwsAsync(
+		execa('./cli.js', ['src', 'dest', '--checksum-cache']),
+		{message: /`--checksum-cache` requires `--checksum`/},
+	);
+});
+
+test('preserve timestamps keeps sub-millisecond modification times so update skips the copies', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/script.sh'), 'echo hello');
+	fs.chmodSync(path.join(t.context.tmp, 'src/script.sh'), 0o755);
+	fs.utimesSync(path.join(t.context.tmp, 'src/script.sh'), 1_600_000_000.123_456, 1_600_000_000.123_456);
+
+	await execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--preserve=timestamps,mode']);
+
+	const sourceStats = fs.statSync(path.join(t.context.tmp, 'src/script.sh'));
+	const destinationStats = fs.statSync(path.join(t.context.tmp, 'dest/script.sh'));
+	t.true(Math.abs(destinationStats.mtimeMs - sourceStats.mtimeMs) < 0.01);
+	t.is(destinationStats.mode, sourceStats.mode);
+
+	const {stdout} = await execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--update', '--json']);
+	t.deepEqual(JSON.parse(stdout).operations.map(({action}) => action), ['skipped-up-to-date']);
+});
+
+test('preserve all with the short flag', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+	fs.utimesSync(path.join(t.context.tmp, 'src/a.txt'), 1_600_000_000.5, 1_600_000_000.5);
+
+	await execa('./cli.js', ['-p', 'src/*', 'dest', '--cwd', t.context.tmp]);
+
+	t.is(fs.statSync(path.join(t.context.tmp, 'dest/a.txt')).mtimeMs, 1_600_000_000_500);
+});
+
+test('preserve with an unknown attribute errors', async t => {
+	await t.throwsAsync(
+		execa('./cli.js', ['src', 'dest', '--preserve=timestamps,xattrs']),
+		{message: /Unknown --preserve attribute `xattrs`/},
+	);
+});
+
+const writeSymbolicLinkFixture = directory => {
+	fs.mkdirSync(path.join(directory, 'src/dir'), {recursive: true});
+	fs.mkdirSync(path.join(directory, 'outside'));
+	fs.writeFileSync(path.join(directory, 'src/a.txt'), 'a');
+	fs.writeFileSync(path.join(directory, 'src/dir/d.txt'), 'd');
+	fs.writeFileSync(path.join(directory, 'outside/o.txt'), 'o');
+	fs.symlinkSync('a.txt', path.join(directory, 'src/link.txt'));
+	fs.symlinkSync('dir', path.join(directory, 'src/dirlink'));
+	fs.symlinkSync('../outside', path.join(directory, 'src/out'));
+};
+
+test('symlinks are followed by default', async t => {
+	writeSymbolicLinkFixture(t.context.tmp);
+
+	await execa('./cli.js', ['src/**', 'dest', '--cwd', t.context.tmp]);
+
+	t.false(fs.lstatSync(path.join(t.context.tmp, 'dest/link.txt')).isSymbolicLink());
+	t.is(read(t.context.tmp, 'dest/link.txt'), 'a');
+	t.is(read(t.context.tmp, 'dest/dirlink/d.txt'), 'd');
+	t.is(read(t.context.tmp, 'dest/out/o.txt'), 'o');
+});
+
+test('symlinks preserve recreates links and rewrites targets outside the copied directory', async t => {
+	writeSymbolicLinkFixture(t.context.tmp);
+
+	await execa('./cli.js', ['src/**', 'deploy/dest', '--cwd', t.context.tmp, '--symlinks=preserve']);
+
+	t.is(fs.readlinkSync(path.join(t.context.tmp, 'deploy/dest/link.txt')), 'a.txt');
+	t.is(fs.readlinkSync(path.join(t.context.tmp, 'deploy/dest/dirlink')), 'dir');
+	t.is(fs.readlinkSync(path.join(t.context.tmp, 'deploy/dest/out')), path.join('..', '..', 'outside'));
+	t.is(read(t.context.tmp, 'deploy/dest/out/o.txt'), 'o');
+	t.is(read(t.context.tmp, 'deploy/dest/dir/d.txt'), 'd');
+});
+
+test('symlinks skip leaves out links', async t => {
+	writeSymbolicLinkFixture(t.context.tmp);
+
+	await execa('./cli.js', ['src/**', 'dest', '--cwd', t.context.tmp, '--symlinks=skip']);
+
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'dest')).sort(), ['a.txt', 'dir']);
+});
+
+test('symlink cycle errors instead of following it forever', async t => {
+	writeSymbolicLinkFixture(t.context.tmp);
+	fs.symlinkSync('..', path.join(t.context.tmp, 'src/dir/loop'));
+
+	await t.throwsAsync(
+		execa('./cli.js', ['src/**', 'dest', '--cwd', t.context.tmp]),
+		{message: /Symbolic link `src[/\\]dir(?:link)?[/\\]loop` points to `src`/},
+	);
+
+	await execa('./cli.js', ['src/**', '!src/dir/loop/**', '!src/dirlink/loop/**', 'dest', '--cwd', t.context.tmp]);
+	t.is(read(t.context.tmp, 'dest/dir/d.txt'), 'd');
+});
+
+test('symlinks with an unknown mode errors', async t => {
+	await t.throwsAsync(
+		execa('./cli.js', ['src', 'dest', '--symlinks=copy']),
+		{message: /`--symlinks` must be one of: follow, preserve, skip/},
+	);
+});
+
+test('move removes the sources and prune removes the directories left empty', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'inbox/a/b'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'inbox/a/b/x.txt'), 'x');
+	fs.writeFileSync(path.join(t.context.tmp, 'inbox/y.txt'), 'y');
+
+	const {stdout} = await execa('./cli.js', ['inbox/**', 'out', '--cwd', t.context.tmp, '--move', '--prune-sources', '--json']);
+
+	t.deepEqual(JSON.parse(stdout).operations.map(({action, size}) => [action, size]), [['moved', 1], ['moved', 1]]);
+	t.is(read(t.context.tmp, 'out/a/b/x.txt'), 'x');
+	t.is(read(t.context.tmp, 'out/y.txt'), 'y');
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'inbox')), []);
+});
+
+test('move keeps the sources of skipped and failed copies', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.mkdirSync(path.join(t.context.tmp, 'dest'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'new');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/a.txt'), 'old');
+
+	await execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--move', '--ignore-existing']);
+	t.is(read(t.context.tmp, 'src/a.txt'), 'new');
+
+	await t.throwsAsync(execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--move', '--no-overwrite']));
+	t.is(read(t.context.tmp, 'src/a.txt'), 'new');
+	t.is(read(t.context.tmp, 'dest/a.txt'), 'old');
+});
+
+test('move copies a symbolic link before removing its matched target', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/c.txt'), 'c');
+	fs.symlinkSync('c.txt', path.join(t.context.tmp, 'src/link.txt'));
+
+	await execa('./cli.js', ['src/**', 'dest', '--cwd', t.context.tmp, '--move', '--concurrency=1']);
+
+	t.is(read(t.context.tmp, 'dest/c.txt'), 'c');
+	t.is(read(t.context.tmp, 'dest/link.txt'), 'c');
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'src')), []);
+});
+
+test('move works for a file-to-file copy', async t => {
+	fs.mkdirSync(t.context.tmp);
+	fs.writeFileSync(path.join(t.context.tmp, 'a.txt'), 'a');
+
+	await execa('./cli.js', ['a.txt', 'b.txt', '--cwd', t.context.tmp, '--move']);
+
+	t.false(pathExistsSync(path.join(t.context.tmp, 'a.txt')));
+	t.is(read(t.context.tmp, 'b.txt'), 'a');
+});
+
+test('move cannot be used with delete', async t => {
+	await t.throwsAsync(
+		execa('./cli.js', ['src', 'dest', '--move', '--delete']),
+		{message: /`--move` cannot be used with `--delete`/},
+	);
+});
+
+test('atomic copies through temporary files that are renamed into place', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.mkdirSync(path.join(t.context.tmp, 'dest'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'new');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/b.txt'), 'b');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/a.txt'), 'old');
+
+	await execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--atomic', '--preserve=timestamps']);
+
+	t.is(read(t.context.tmp, 'dest/a.txt'), 'new');
+	t.is(read(t.context.tmp, 'dest/b.txt'), 'b');
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'dest')).sort(), ['a.txt', 'b.txt']);
+});
+
+test('atomic without overwrite keeps the destination and removes the temporary file', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.mkdirSync(path.join(t.context.tmp, 'dest'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'new');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/a.txt'), 'old');
+
+	await t.throwsAsync(
+		execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--atomic', '--no-overwrite']),
+		{message: /EEXIST/},
+	);
+
+	t.is(read(t.context.tmp, 'dest/a.txt'), 'old');
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'dest')), ['a.txt']);
+
+	await execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--atomic', '--ignore-existing']);
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'dest')), ['a.txt']);
+});
+
+test('verify checks plain, transformed and moved copies', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'version=VERSION');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/b.bin'), 'x'.repeat(100_000));
+
+	await execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--verify', '--atomic', '--replace=VERSION=1.0.0', '--transform-files=**/*.txt']);
+	t.is(read(t.context.tmp, 'dest/a.txt'), 'version=1.0.0');
+	t.is(fs.statSync(path.join(t.context.tmp, 'dest/b.bin')).size, 100_000);
+
+	await execa('./cli.js', ['src/*', 'moved', '--cwd', t.context.tmp, '--verify', '--move']);
+	t.is(read(t.context.tmp, 'moved/a.txt'), 'version=VERSION');
+	t.false(fs.existsSync(path.join(t.context.tmp, 'src/a.txt')));
+});
+
+test('link hard links the sources and reflink copies them', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+
+	await execa('./cli.js', ['src/*', 'linked', '--cwd', t.context.tmp, '--link']);
+	t.is(fs.statSync(path.join(t.context.tmp, 'linked/a.txt')).ino, fs.statSync(path.join(t.context.tmp, 'src/a.txt')).ino);
+
+	// A link from an earlier run is up to date rather than a copy onto itself.
+	const {stdout} = await execa('./cli.js', ['src/*', 'linked', '--cwd', t.context.tmp, '--link', '--json']);
+	t.is(JSON.parse(stdout).operations[0].action, 'skipped-up-to-date');
+
+	for (const mode of ['auto', 'never']) {
+		// eslint-disable-next-line no-await-in-loop
+		await execa('./cli.js', ['src/*', mode, '--cwd', t.context.tmp, `--reflink=${mode}`]);
+		t.is(read(t.context.tmp, mode, 'a.txt'), 'a');
+		t.not(fs.statSync(path.join(t.context.tmp, mode, 'a.txt')).ino, fs.statSync(path.join(t.context.tmp, 'src/a.txt')).ino);
+	}
+
+	await t.throwsAsync(execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--reflink=sometimes']), {message: /`--reflink` must be one of: auto, always, never/});
+	await t.throwsAsync(execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--link', '--move']), {message: /`--link` cannot be used with `--move`/});
+});
+
+test('manifest maps each source to its renamed copy with integrity digests', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'assets/img'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'assets/app.css'), 'body{}');
+	fs.writeFileSync(path.join(t.context.tmp, 'assets/img/logo.png'), 'png');
+
+	const arguments_ = ['assets/**', 'dist', '--cwd', t.context.tmp, '--rename={{name}}.min.{{ext}}', '--manifest=dist/manifest.json'];
+	await execa('./cli.js', arguments_);
+
+	const manifest = JSON.parse(read(t.context.tmp, 'dist/manifest.json'));
+	t.deepEqual(Object.keys(manifest), ['assets/app.css', 'assets/img/logo.png']);
+	t.deepEqual(manifest['assets/app.css'], {
+		destination: 'dist/app.min.css',
+		size: 6,
+		sha256: 'sha256-fJgEClQWV1hGkK4qHMO0KotTsVnMYMXTq7/suurGyUo=',
+		sha384: 'sha384-myyg/hQ74aSgjBBvVME/QXAXEkT4Y9dHbVQ5C0lIyGpldvNLJV2IWc5ElXbqLi06',
+	});
+	t.is(manifest['assets/img/logo.png'].destination, 'dist/img/logo.min.png');
+
+	await t.throwsAsync(
+		execa('./cli.js', ['assets/**', '--to=a', '--to=b', '--cwd', t.context.tmp, '--manifest=manifest.json']),
+		{message: /`--manifest` cannot be used with several `--to` destinations/},
+	);
+});
+
+test('backup renames overwritten files with a suffix', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.mkdirSync(path.join(t.context.tmp, 'dest'));
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'new');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/b.txt'), 'b');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/a.txt'), 'old');
+
+	await execa('./cli.js', ['--backup', 'src/*', 'dest', '--cwd', t.context.tmp]);
+
+	t.is(read(t.context.tmp, 'dest/a.txt'), 'new');
+	t.is(read(t.context.tmp, 'dest/a.txt~'), 'old');
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest/b.txt~')));
+
+	await execa('./cli.js', ['src/a.txt', 'dest', '--cwd', t.context.tmp, '--flat', '--suffix=.bak', '--atomic']);
+	t.is(read(t.context.tmp, 'dest/a.txt.bak'), 'new');
+});
+
+test('numbered backups count up', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'dest'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'a.txt'), 'a');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/a.txt'), 'first');
+
+	await execa('./cli.js', ['a.txt', 'dest', '--cwd', t.context.tmp, '--backup=numbered']);
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/a.txt'), 'second');
+	await execa('./cli.js', ['a.txt', 'dest', '--cwd', t.context.tmp, '-b']);
+
+	t.is(read(t.context.tmp, 'dest/a.txt.~1~'), 'first');
+	t.is(read(t.context.tmp, 'dest/a.txt.~2~'), 'second');
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest/a.txt~')));
+});
+
+test('backup dir keeps the relative path and delete keeps the backups', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src/nested'), {recursive: true});
+	fs.mkdirSync(path.join(t.context.tmp, 'dest/nested'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/nested/a.txt'), 'new');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/nested/a.txt'), 'old');
+	fs.writeFileSync(path.join(t.context.tmp, 'dest/stale.txt'), 'stale');
+
+	await execa('./cli.js', ['src/**', 'dest', '--cwd', t.context.tmp, '--backup-dir=dest/.backups', '--delete']);
+
+	t.is(read(t.context.tmp, 'dest/nested/a.txt'), 'new');
+	t.is(read(t.context.tmp, 'dest/.backups/nested/a.txt~'), 'old');
+	t.false(pathExistsSync(path.join(t.context.tmp, 'dest/stale.txt')));
+});
+
+test('backup with an unknown mode errors', async t => {
+	await t.throwsAsync(
+		execa('./cli.js', ['src', 'dest', '--backup=always']),
+		{message: /`--backup` must be one of: simple, numbered, existing/},
+	);
+});
+
+test('gitignore skips files ignored by nested .gitignore files', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'template/logs'), {recursive: true});
+	fs.mkdirSync(path.join(t.context.tmp, 'template/sub'));
+	fs.writeFileSync(path.join(t.context.tmp, 'template/.gitignore'), 'logs/\n*.env\n');
+	fs.writeFileSync(path.join(t.context.tmp, 'template/sub/.gitignore'), 'secret.txt\n');
+	fs.writeFileSync(path.join(t.context.tmp, 'template/a.txt'), 'a');
+	fs.writeFileSync(path.join(t.context.tmp, 'template/.env'), 'env');
+	fs.writeFileSync(path.join(t.context.tmp, 'template/logs/x.log'), 'log');
+	fs.writeFileSync(path.join(t.context.tmp, 'template/sub/secret.txt'), 'secret');
+	fs.writeFileSync(path.join(t.context.tmp, 'template/sub/ok.txt'), 'ok');
+
+	await execa('./cli.js', ['**', '!**/.gitignore', '../dest', '--cwd', path.join(t.context.tmp, 'template'), '--dot', '--gitignore']);
+
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'dest'), {recursive: true}).sort(), ['a.txt', 'sub', path.join('sub', 'ok.txt')]);
+});
+
+test('ignore file skips files matching its patterns', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src/drafts'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, '.cpyignore'), 'drafts/\n*.tmp\n');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.md'), 'a');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/b.tmp'), 'b');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/drafts/c.md'), 'c');
+
+	await execa('./cli.js', ['src/**', 'dest', '--cwd', t.context.tmp, '--ignore-file=.cpyignore']);
+
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'dest')), ['a.md']);
+
+	await t.throwsAsync(
+		execa('./cli.js', ['src/**', 'dest', '--cwd', t.context.tmp, '--ignore-file=.nope']),
+		{message: /Cannot find ignore file `.nope`/},
+	);
+});
+
+test('size and time filters skip files outside the limits', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'logs'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'logs/big.log'), 'x'.repeat(2000));
+	fs.writeFileSync(path.join(t.context.tmp, 'logs/small.log'), 'x');
+	fs.writeFileSync(path.join(t.context.tmp, 'logs/old.log'), 'x'.repeat(2000));
+	const twoDaysAgo = new Date(Date.now() - (2 * 24 * 60 * 60 * 1000));
+	fs.utimesSync(path.join(t.context.tmp, 'logs/old.log'), twoDaysAgo, twoDaysAgo);
+
+	const {stdout} = await execa('./cli.js', ['logs/*.log', 'archive', '--cwd', t.context.tmp, '--min-size=1k', '--newer-than=1d', '--json']);
+
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'archive')), ['big.log']);
+	t.deepEqual(JSON.parse(stdout).operations.filter(({action}) => action === 'skipped-filtered').map(({source}) => path.basename(source)).sort(), ['old.log', 'small.log']);
+
+	await t.throwsAsync(
+		execa('./cli.js', ['logs/*.log', 'archive', '--cwd', t.context.tmp, '--max-size=2 bytes']),
+		{message: /Invalid size `2 bytes` for `--max-size`/},
+	);
+});
+
+test('files-only skips symbolic links', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'a');
+	fs.symlinkSync('a.txt', path.join(t.context.tmp, 'src/link.txt'));
+
+	await execa('./cli.js', ['src/*', 'dest', '--cwd', t.context.tmp, '--files-only']);
+
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'dest')), ['a.txt']);
+});
+
+test('include-empty-dirs creates the empty directories of the sources', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'app/uploads/images'), {recursive: true});
+	fs.mkdirSync(path.join(t.context.tmp, 'app/cache'));
+	fs.writeFileSync(path.join(t.context.tmp, 'app/index.js'), '');
+
+	const {stderr} = await execa('./cli.js', ['app', 'dest', '--cwd', t.context.tmp, '--include-empty-dirs', '--stats']);
+
+	t.true(fs.statSync(path.join(t.context.tmp, 'dest/app/uploads/images')).isDirectory());
+	t.true(fs.statSync(path.join(t.context.tmp, 'dest/app/cache')).isDirectory());
+	t.true(pathExistsSync(path.join(t.context.tmp, 'dest/app/index.js')));
+	t.regex(stderr, /created 3 directories/);
+
+	await execa('./cli.js', ['app/cache', 'only-empty', '--cwd', t.context.tmp, '--include-empty-dirs', '--base=pattern']);
+	t.true(fs.statSync(path.join(t.context.tmp, 'only-empty')).isDirectory());
+
+	await t.throwsAsync(
+		execa('./cli.js', ['app', 'dest', '--cwd', t.context.tmp, '--include-empty-dirs', '--flat']),
+		{message: /`--include-empty-dirs` cannot be used with `--flat`/},
+	);
+});
+
+test('dirs-only creates the directory skeleton without files', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'template/src/components'), {recursive: true});
+	fs.mkdirSync(path.join(t.context.tmp, 'template/uploads'));
+	fs.writeFileSync(path.join(t.context.tmp, 'template/src/index.js'), '');
+
+	await execa('./cli.js', ['template', 'app', '--cwd', t.context.tmp, '--dirs-only', '--base=pattern']);
+
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'app'), {recursive: true}).sort(), ['src', path.join('src', 'components'), 'uploads']);
+
+	await execa('./cli.js', ['template/uploads', 'other', '--cwd', t.context.tmp, '--empty-dirs']);
+	t.true(fs.statSync(path.join(t.context.tmp, 'other/template/uploads')).isDirectory());
+
+	await t.throwsAsync(
+		execa('./cli.js', ['template', 'app', '--cwd', t.context.tmp, '--dirs-only', '--delete']),
+		{message: /`--dirs-only` cannot be used with `--move` or `--delete`/},
+	);
+});
+
+test('replace and env-substitute rewrite the contents of matching files', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	// eslint-disable-next-line no-template-curly-in-string
+	fs.writeFileSync(path.join(t.context.tmp, 'src/index.html'), '<a href="${API_URL}">__VERSION__ ${THEME:-light}</a>');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/logo.svg'), '__VERSION__');
+
+	await execa('./cli.js', ['src/*', 'dist', '--cwd', t.context.tmp, '--replace=__VERSION__=1.2.0', '--env-substitute', '--transform-files=**/*.html'], {
+		env: {API_URL: 'https://example.com'},
+	});
+
+	t.is(read(t.context.tmp, 'dist/index.html'), '<a href="https://example.com">1.2.0 light</a>');
+	t.is(read(t.context.tmp, 'dist/logo.svg'), '__VERSION__');
+
+	await t.throwsAsync(
+		execa('./cli.js', ['src/index.html', 'dist/', '--cwd', t.context.tmp, '--env-substitute', '--flat'], {env: {API_URL: undefined}}),
+		{message: /The environment variable `API_URL` is not set/},
+	);
+
+	// The failed transform leaves the existing destination as it was, without a temporary file next to it.
+	t.is(read(t.context.tmp, 'dist/index.html'), '<a href="https://example.com">1.2.0 light</a>');
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'dist')).sort(), ['index.html', 'logo.svg']);
+});
+
+test('replace leaves binary files and files without a match as they are', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	const binary = Buffer.concat([Buffer.from([0x00, 0xFF, 0xFE, 0x80]), Buffer.from('__V__'), crypto.randomBytes(4096)]);
+	const latin1 = Buffer.from('caf\u00E9', 'latin1');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/image.bin'), binary);
+	fs.writeFileSync(path.join(t.context.tmp, 'src/latin1.txt'), latin1);
+	fs.writeFileSync(path.join(t.context.tmp, 'src/version.txt'), 'v__V__');
+
+	await execa('./cli.js', ['src/*', 'dist', '--cwd', t.context.tmp, '--replace=__V__=1.0']);
+
+	t.true(fs.readFileSync(path.join(t.context.tmp, 'dist/image.bin')).equals(binary));
+	t.true(fs.readFileSync(path.join(t.context.tmp, 'dist/latin1.txt')).equals(latin1));
+	t.is(read(t.context.tmp, 'dist/version.txt'), 'v1.0');
+});
+
+test('transform modules rewrite the contents in order', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/a.txt'), 'hello');
+	fs.writeFileSync(path.join(t.context.tmp, 'upper.js'), 'export default async content => content.toUpperCase();\n');
+	fs.writeFileSync(path.join(t.context.tmp, 'prefix.js'), [
+		'import {Transform} from \'node:stream\';',
+		'export const createStream = file => new Transform({',
+		'\ttransform(chunk, encoding, callback) {',
+		'\t\tcallback(undefined, file.relativePath + \': \' + chunk);',
+		'\t},',
+		'});',
+	].join('\n'));
+
+	await execa('./cli.js', ['src/*.txt', 'dist', '--cwd', t.context.tmp, '--transform=upper.js', '--transform=prefix.js']);
+
+	t.is(read(t.context.tmp, 'dist/a.txt'), `${path.join('src', 'a.txt')}: HELLO`);
+
+	await t.throwsAsync(
+		execa('./cli.js', ['src/*.txt', 'dist', '--cwd', t.context.tmp, '--transform=src/a.txt']),
+		{message: /Cannot load transform `src\/a.txt`/},
+	);
+});
+
+test('archive destinations are written with the layout of a directory', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'build/js'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'build/index.html'), 'index');
+	fs.writeFileSync(path.join(t.context.tmp, 'build/js/app.js'), 'app'.repeat(100));
+
+	for (const archive of ['release.zip', 'release.tar.gz']) {
+		// eslint-disable-next-line no-await-in-loop
+		await execa('./cli.js', ['build/**', archive, '--cwd', t.context.tmp, '--rename={{name|upper}}.{{ext}}']);
+		// eslint-disable-next-line no-await-in-loop
+		await execa('./cli.js', [`${archive}/**`, `extracted/${archive}/`, '--cwd', t.context.tmp]);
+
+		t.is(read(t.context.tmp, `extracted/${archive}/INDEX.html`), 'index');
+		t.is(read(t.context.tmp, `extracted/${archive}/js/APP.js`), 'app'.repeat(100));
+	}
+
+	await t.throwsAsync(
+		execa('./cli.js', ['build/**', 'release.zip', '--cwd', t.context.tmp, '--delete']),
+		{message: /`--delete` cannot be used with an archive destination/},
+	);
+});
+
+test('archive sources copy the matching entries', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'src/lib'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'src/readme.md'), 'readme');
+	fs.writeFileSync(path.join(t.context.tmp, 'src/lib/a.js'), 'a');
+	await execa('./cli.js', ['src/**', 'bundle.tar', '--cwd', t.context.tmp]);
+
+	const {stdout} = await execa('./cli.js', ['bundle.tar/**/*.js', 'out', '--cwd', t.context.tmp, '--json']);
+
+	t.deepEqual(fs.readdirSync(path.join(t.context.tmp, 'out'), {recursive: true}).sort(), ['lib', path.join('lib', 'a.js')]);
+	t.is(JSON.parse(stdout).operations[0].source, path.join(t.context.tmp, 'bundle.tar/lib/a.js'));
+
+	await execa('./cli.js', ['bundle.tar', 'copy.tar', '--cwd', t.context.tmp]);
+	t.deepEqual(fs.readFileSync(path.join(t.context.tmp, 'copy.tar')), fs.readFileSync(path.join(t.context.tmp, 'bundle.tar')));
+});
+
+const writeZipWithLinks = async (archivePath, links, files) => {
+	const zipFile = new yazl.ZipFile();
+	for (const [name, target] of links) {
+		zipFile.addBuffer(Buffer.from(target), name, {mode: 0o12_0777, compress: false});
+	}
+
+	for (const [name, contents] of files) {
+		zipFile.addBuffer(Buffer.from(contents), name);
+	}
+
+	zipFile.end();
+	await pipeline(zipFile.outputStream, fs.createWriteStream(archivePath));
+};
+
+test('archive sources are never written through their own links', async t => {
+	fs.mkdirSync(t.context.tmp);
+	const proofName = `cpy-proof-${crypto.randomUUID()}.txt`;
+
+	// Each link stays inside on its own, but together they lead to the parent of the temporary directory.
+	await writeZipWithLinks(path.join(t.context.tmp, 'evil.zip'), [['a', '.'], ['a/b', '..'], ['a/b/c', '..'], ['a/b/c/d', '..']], [[`a/b/c/d/${proofName}`, 'proof'], ['ok.txt', 'ok']]);
+
+	await t.throwsAsync(
+		execa('./cli.js', ['evil.zip/ok.txt', 'out', '--cwd', t.context.tmp]),
+		{message: /Refusing to extract `a\/b` from `.*evil\.zip`, as it would be written through the link `a`/},
+	);
+	t.false(pathExistsSync(path.join(os.tmpdir(), proofName)));
+
+	await writeZipWithLinks(path.join(t.context.tmp, 'cycle.zip'), [['a', '.']], [['ok.txt', 'ok']]);
+
+	await t.throwsAsync(
+		execa('./cli.js', ['cycle.zip/ok.txt', 'out', '--cwd', t.context.tmp]),
+		{message: /Symbolic link `cycle\.zip[/\\]a` points to `cycle\.zip`/},
+	);
+});
+
+test('to copies the sources to each destination', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'shared/img'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'shared/a.css'), 'css');
+	fs.writeFileSync(path.join(t.context.tmp, 'shared/img/b.png'), 'png');
+
+	await execa('./cli.js', ['shared/**', '--to=web', '--dest=admin', '--cwd', t.context.tmp, '--rename={{index}}-{{basename}}']);
+
+	for (const destination of ['web', 'admin']) {
+		t.is(read(t.context.tmp, destination, '1-a.css'), 'css');
+		t.is(read(t.context.tmp, destination, 'img/2-b.png'), 'png');
+	}
+
+	// A single file is still copied into each destination as a directory.
+	await execa('./cli.js', ['shared/a.css', '--to=one.css', '--cwd', t.context.tmp, '--flat']);
+	t.is(read(t.context.tmp, 'one.css/a.css'), 'css');
+});
+
+test('to reports on all destinations at once and refuses to move to several', async t => {
+	fs.mkdirSync(path.join(t.context.tmp, 'shared'), {recursive: true});
+	fs.writeFileSync(path.join(t.context.tmp, 'shared/a.css'), 'css');
+
+	const {stdout, stderr} = await execa('./cli.js', ['shared/*', '--to=web', '--to=admin', '--cwd', t.context.tmp, '--json', '--stats']);
+	const {operations, summary} = JSON.parse(stdout);
+
+	t.deepEqual(operations.map(({destination}) => path.relative(t.context.tmp, destination)), [path.join('web', 'a.css'), path.join('admin', 'a.css')]);
+	t.is(summary.copiedFiles, 2);
+	t.is(stderr.split('\n').length, 1);
+
+	await t.throwsAsync(
+		execa('./cli.js', ['shared/*', '--to=web', '--to=admin', '--cwd', t.context.tmp, '--move']),
+		{message: /`--move` cannot be used with several `--to` destinations/},
+	);
+	t.true(pathExistsSync(path.join(t.context.tmp, 'shared/a.css')));
+});
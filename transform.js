@@ -0,0 +1,142 @@
+import path from 'node:path';
+import process from 'node:process';
+import {pathToFileURL} from 'node:url';
+import {Buffer} from 'node:buffer';
+import {Transform} from 'node:stream';
+import picomatch from 'picomatch';
+import CliError from './cli-error.js';
+import {isBinary} from './utilities.js';
+
+/**
+Parse a `--replace` value, which is split at the first `=`, so the replacement can contain one.
+
+@param {string} value
+@returns {{from: string, to: string}}
+*/
+export const parseReplacement = value => {
+	const separatorIndex = value.indexOf('=');
+	if (separatorIndex < 1) {
+		throw new CliError(`Invalid replacement \`${value}\`, expected FROM=TO`);
+	}
+
+	return {from: value.slice(0, separatorIndex), to: value.slice(separatorIndex + 1)};
+};
+
+/**
+Replace `${NAME}` with the environment variable, or with the default of `${NAME:-default}` when it is unset. An unset variable without a default is an error rather than an empty string, which would go unnoticed.
+
+@param {string} content
+@param {Record<string, string | undefined>} [environment]
+@returns {string}
+*/
+export const substituteEnvironmentVariables = (content, environment = process.env) => content.replaceAll(/\${([A-Za-z_]\w*)(?::-([^}]*))?}/g, (match, name, defaultValue) => {
+	const value = environment[name] ?? defaultValue;
+	if (value === undefined) {
+		throw new Error(`The environment variable \`${name}\` is not set`);
+	}
+
+	return value;
+});
+
+// Collects the whole file, as a content function needs all of it at once. Binary files are passed through, as decoding them as text would corrupt them, and so are the files the function leaves as they are, which keeps text that is not UTF-8 intact.
+const createContentStream = (transformContent, file) => {
+	const chunks = [];
+
+	return new Transform({
+		transform(chunk, _encoding, callback) {
+			chunks.push(chunk);
+			callback();
+		},
+		async flush(callback) {
+			try {
+				const buffer = Buffer.concat(chunks);
+				if (isBinary(buffer)) {
+					callback(undefined, buffer);
+					return;
+				}
+
+				const originalContent = buffer.toString();
+				const content = await transformContent(originalContent, file);
+				if (typeof content !== 'string' && !Buffer.isBuffer(content)) {
+					throw new TypeError(`A transform must return a string or a Buffer, got ${typeof content}`);
+				}
+
+				callback(undefined, content === originalContent ? buffer : content);
+			} catch (error) {
+				callback(error);
+			}
+		},
+	});
+};
+
+const loadTransformModule = async (modulePath, cwd) => {
+	const resolvedPath = path.resolve(cwd, modulePath);
+
+	let module_;
+	try {
+		module_ = await import(pathToFileURL(resolvedPath).href);
+	} catch (error) {
+		throw new CliError(`Cannot load transform \`${modulePath}\`: ${error.message}`, {cause: error});
+	}
+
+	if (typeof module_.createStream === 'function') {
+		return file => module_.createStream(file);
+	}
+
+	if (typeof module_.default === 'function') {
+		return file => createContentStream(module_.default, file);
+	}
+
+	throw new CliError(`Transform \`${modulePath}\` must export a \`(content, file) => content\` function as default or a \`createStream(file)\` function`);
+};
+
+/**
+Create the transforms that rewrite the contents of the files while they are copied, in order: `--replace`, `--env-substitute` and then each `--transform` module.
+
+@param {object} options
+@param {string[]} [options.replace] - `FROM=TO` values.
+@param {boolean} [options.envSubstitute]
+@param {string[]} [options.modules] - Paths of ESM modules, relative to `cwd`.
+@param {string[]} [options.files] - Globs, relative to `cwd`, of the files to transform. All files by default.
+@param {string} options.cwd
+@returns {Promise<((file: import('./plan.js').PlannedFile) => Transform[] | undefined) | undefined>} A function that creates the streams for a file, or `undefined` for none. `undefined` when there are no transforms.
+*/
+export default async function createTransform({replace = [], envSubstitute = false, modules = [], files = [], cwd}) {
+	const replacements = replace.map(value => parseReplacement(value));
+
+	const stages = [];
+
+	if (replacements.length > 0) {
+		stages.push(file => createContentStream(content => {
+			for (const {from, to} of replacements) {
+				content = content.replaceAll(from, to);
+			}
+
+			return content;
+		}, file));
+	}
+
+	if (envSubstitute) {
+		stages.push(file => createContentStream(content => substituteEnvironmentVariables(content), file));
+	}
+
+	for (const modulePath of modules) {
+		// eslint-disable-next-line no-await-in-loop
+		stages.push(await loadTransformModule(modulePath, cwd));
+	}
+
+	if (stages.length === 0) {
+		if (files.length > 0) {
+			throw new CliError('`--transform-files` requires `--replace`, `--env-substitute` or `--transform`');
+		}
+
+		return;
+	}
+
+	const isMatch = files.length > 0 ? picomatch(files, {dot: true}) : () => true;
+
+	return file => {
+		const relativePath = path.relative(cwd, file.sourcePath).split(path.sep).join('/');
+		return isMatch(relativePath) ? stages.map(createStream => createStream(file)) : undefined;
+	};
+}
@@ -0,0 +1,60 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import {isDynamicPattern} from 'globby';
+
+/**
+Check whether a path is the directory itself or inside it.
+
+@param {string} directory
+@param {string} filePath
+@returns {boolean}
+*/
+export const isWithin = (directory, filePath) => {
+	const relativePath = path.relative(directory, filePath);
+	return relativePath === '' || (!relativePath.startsWith('..') && !path.isAbsolute(relativePath));
+};
+
+/**
+Check whether the contents are binary the way `git diff` does, by a NUL byte early on.
+
+@param {Buffer} buffer
+@returns {boolean}
+*/
+export const isBinary = buffer => buffer.subarray(0, 8000).includes(0);
+
+const findExistingDirectory = directory => {
+	while (!fs.existsSync(directory)) {
+		const parent = path.dirname(directory);
+		if (parent === directory) {
+			break;
+		}
+
+		directory = parent;
+	}
+
+	return directory;
+};
+
+/**
+Get the directory a source pattern matches in, which is the static part of the pattern before the first glob segment.
+
+@param {string} pattern
+@param {string} cwd
+@returns {string}
+*/
+export const getPatternRoot = (pattern, cwd) => {
+	const segments = pattern.replaceAll('\\', '/').split('/');
+	const magicIndex = segments.findIndex(segment => segment && isDynamicPattern(segment));
+	const staticPath = magicIndex === -1 ? segments.join('/') : segments.slice(0, magicIndex).join('/');
+	const root = path.resolve(cwd, staticPath || '.');
+
+	let stats;
+	try {
+		stats = fs.statSync(root);
+	} catch {
+		return findExistingDirectory(path.dirname(root));
+	}
+
+	// The parent of a single file, so watching it survives editors that save by replacing the file.
+	return stats.isDirectory() ? root : path.dirname(root);
+};
@@ -0,0 +1,95 @@
+import CliError from './cli-error.js';
+import {reflinkModes} from './copy.js';
+import {conflictPolicies} from './conflicts.js';
+import {symbolicLinkModes} from './symlinks.js';
+import {validateRenameTemplate} from './rename-template.js';
+
+/**
+Get the first of the flags that are set.
+
+@param {Record<string, unknown>} flags - By the name to show, as in `{'--move': flags.move}`.
+@returns {string | undefined}
+*/
+export const findConflictingFlag = flags => Object.entries(flags).find(([, value]) => value)?.[0];
+
+/**
+Whether any of the backup flags asks for backups.
+
+@param {Record<string, any>} flags
+@returns {boolean}
+*/
+export const hasBackup = flags => flags.backup !== undefined || flags.suffix !== undefined || flags.backupDir !== undefined;
+
+// A hard link is the source itself, so there is no copy to change or to keep apart.
+const findLinkConflict = flags => findConflictingFlag({
+	'--reflink': flags.reflink !== undefined,
+	'--move': flags.move,
+	'--preserve': flags.preserve !== undefined || flags.preserveAll,
+	'--replace': flags.replace.length > 0,
+	'--env-substitute': flags.envSubstitute,
+	'--transform': flags.transform.length > 0,
+	'--transform-files': flags.transformFiles.length > 0,
+});
+
+/**
+Each rule is a check that is true for invalid flags, and the message to throw then, in the order they are checked.
+
+@type {Array<[(flags: Record<string, any>) => unknown, string | ((flags: Record<string, any>) => string)]>}
+*/
+const rules = [
+	[
+		flags => flags.interactive && (flags.watch || flags.dryRun || !flags.overwrite || flags.ignoreExisting),
+		'`--interactive` cannot be used with `--watch`, `--dry-run`, `--no-overwrite` or `--ignore-existing`',
+	],
+	[flags => flags.move && flags.to.length > 1, '`--move` cannot be used with several `--to` destinations, as the sources are gone after the first'],
+	[flags => flags.manifest !== undefined && flags.to.length > 1, '`--manifest` cannot be used with several `--to` destinations, as it maps each source to one'],
+	[flags => flags.watch && flags.dryRun, '`--watch` cannot be used with `--dry-run`'],
+	[flags => flags.watch && (flags.json || flags.ndjson), '`--watch` cannot be used with `--json` or `--ndjson`'],
+	[flags => flags.watch && flags.manifest !== undefined, '`--watch` cannot be used with `--manifest`'],
+	[flags => flags.json && flags.ndjson, '`--json` cannot be used with `--ndjson`'],
+	[flags => !symbolicLinkModes.includes(flags.symlinks), `\`--symlinks\` must be one of: ${symbolicLinkModes.join(', ')}`],
+	[flags => flags.onConflict !== undefined && !conflictPolicies.includes(flags.onConflict), `\`--on-conflict\` must be one of: ${conflictPolicies.join(', ')}`],
+	[flags => flags.reflink !== undefined && !reflinkModes.includes(flags.reflink), `\`--reflink\` must be one of: ${reflinkModes.join(', ')}`],
+	[flags => flags.link && findLinkConflict(flags), flags => `\`--link\` cannot be used with \`${findLinkConflict(flags)}\``],
+	[flags => flags.move && flags.delete, '`--move` cannot be used with `--delete`'],
+	[flags => flags.pruneSources && !flags.move, '`--prune-sources` requires `--move`'],
+	[flags => flags.checksumCache && !flags.checksum, '`--checksum-cache` requires `--checksum`'],
+	[flags => flags.filesOnly && flags.includeEmptyDirs, '`--files-only` cannot be used with `--include-empty-dirs`'],
+	[flags => flags.filesOnly && flags.dirsOnly, '`--files-only` cannot be used with `--dirs-only`'],
+	[flags => flags.dirsOnly && (flags.move || flags.delete), '`--dirs-only` cannot be used with `--move` or `--delete`'],
+	[flags => (flags.includeEmptyDirs || flags.dirsOnly) && flags.flat, flags => `\`${flags.dirsOnly ? '--dirs-only' : '--include-empty-dirs'}\` cannot be used with \`--flat\``],
+];
+
+/**
+Throw for flags that are invalid or cannot be used together, before anything is copied. What depends on the sources and the destination, like an archive destination, is checked once they are known.
+
+@param {Record<string, any>} flags - Parsed with `flagDefinitions`.
+*/
+export default function validateFlags(flags) {
+	const rule = rules.find(([isInvalid]) => isInvalid(flags));
+	if (rule !== undefined) {
+		const [, message] = rule;
+		throw new CliError(typeof message === 'function' ? message(flags) : message);
+	}
+
+	if (typeof flags.rename === 'string') {
+		validateRenameTemplate(flags.rename);
+	}
+}
+
+/**
+Get the first flag that cannot be used when copying into an archive.
+
+@param {Record<string, any>} flags
+@returns {string | undefined}
+*/
+export const findArchiveDestinationConflict = flags => findConflictingFlag({
+	'--update': flags.update,
+	'--ignore-existing': flags.ignoreExisting,
+	'--checksum': flags.checksum,
+	'--delete': flags.delete,
+	'--watch': flags.watch,
+	'--move': flags.move,
+	'--link': flags.link,
+	'--backup': hasBackup(flags),
+});
@@ -0,0 +1,138 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import process from 'node:process';
+import {once} from 'node:events';
+import chokidar from 'chokidar';
+import {getPatternRoot, isWithin} from './utilities.js';
+import {createDirectories} from './directories.js';
+
+/**
+Watch the directories the source patterns can match in and report changed paths in batches.
+
+@param {string[]} patterns - Source patterns, `!` patterns are ignored.
+@param {object} options
+@param {string} options.cwd
+@param {string} options.destination - Changes inside the destination are ignored, so copying into a watched directory does not trigger itself.
+@param {(changedPaths: Set<string>) => void} options.onChange
+@param {(error: Error) => void} options.onError - Called when watching fails, like with `EACCES` or `ENOSPC`, instead of crashing.
+@param {number} [options.debounce]
+@param {boolean} [options.followSymbolicLinks] - Watch the targets of symbolic links too.
+@returns {Promise<import('chokidar').FSWatcher>} Resolves once the initial scan is done, so no later change is missed.
+*/
+export default async function watchSources(patterns, {cwd, destination, onChange, onError, debounce = 100, followSymbolicLinks = true}) {
+	const roots = [...new Set(patterns
+		.filter(pattern => !pattern.startsWith('!'))
+		.map(pattern => getPatternRoot(pattern, cwd)))];
+	const uniqueRoots = roots.filter(root => !roots.some(otherRoot => otherRoot !== root && isWithin(otherRoot, root)));
+	const resolvedDestination = path.resolve(cwd, destination);
+
+	// A destination that contains a watched root cannot be told apart from the sources, so it is only ignored when it is elsewhere.
+	const shouldIgnoreDestination = !uniqueRoots.some(root => isWithin(resolvedDestination, root));
+
+	let pendingPaths = new Set();
+	let timeout;
+
+	const flush = () => {
+		const changedPaths = pendingPaths;
+		pendingPaths = new Set();
+		onChange(changedPaths);
+	};
+
+	const watcher = chokidar.watch(uniqueRoots, {
+		ignoreInitial: true,
+		followSymlinks: followSymbolicLinks,
+		ignored: shouldIgnoreDestination ? filePath => isWithin(resolvedDestination, filePath) : undefined,
+	});
+
+	watcher.on('all', (_eventName, changedPath) => {
+		pendingPaths.add(path.resolve(changedPath));
+		clearTimeout(timeout);
+		timeout = setTimeout(flush, debounce);
+	});
+
+	watcher.on('error', onError);
+
+	watcher.on('close', () => {
+		clearTimeout(timeout);
+	});
+
+	await once(watcher, 'ready');
+
+	return watcher;
+}
+
+const relativeToCwd = filePath => path.relative(process.cwd(), filePath);
+
+/**
+Copy what changes in the sources once the first copy is done, and remove what is deleted from them with `--delete`.
+
+@param {import('./context.js').CopyContext} context
+@param {ReturnType<import('./copier.js').default>} copier
+@param {object} output
+@param {(message: string) => void} output.log
+@param {(message: unknown) => void} output.logError
+@returns {Promise<import('chokidar').FSWatcher>}
+*/
+export async function watchCopy(context, {copyMatchingFiles, deleteExtraneousFiles}, {log, logError}) {
+	const {flags, input, destination, findMatchingFiles, findMatchingDirectories} = context;
+
+	const removeDeletedSources = async () => {
+		const {files, skipped} = await findMatchingFiles();
+		await deleteExtraneousFiles([...files, ...skipped.map(({file}) => file)], file => {
+			log(`Removed ${relativeToCwd(file)}`);
+		});
+	};
+
+	const copyChangedSources = async changedPaths => {
+		const {files} = await findMatchingFiles();
+		const changedFiles = files.filter(({sourcePath}) => changedPaths.some(changedPath => isWithin(changedPath, sourcePath)));
+
+		await copyMatchingFiles(changedFiles, {
+			onCopied({sourcePath, destinationPath}) {
+				log(`${relativeToCwd(sourcePath)} → ${relativeToCwd(destinationPath)}`);
+			},
+		});
+
+		for (const directory of await createDirectories(await findMatchingDirectories())) {
+			log(`${relativeToCwd(directory.sourcePath)}${path.sep} → ${relativeToCwd(directory.destinationPath)}${path.sep}`);
+		}
+	};
+
+	let queue = Promise.resolve();
+	const watcher = await watchSources(input, {
+		cwd: flags.cwd,
+		destination,
+		followSymbolicLinks: flags.symlinks === 'follow',
+		onChange(changedPaths) {
+			const existingPaths = [...changedPaths].filter(changedPath => fs.existsSync(changedPath));
+			const removedPaths = [...changedPaths].filter(changedPath => !existingPaths.includes(changedPath));
+
+			// One run at a time, so a slow copy is never overtaken by a later change to the same file.
+			const previousRun = queue;
+			queue = (async () => {
+				await previousRun;
+
+				try {
+					if (removedPaths.length > 0 && flags.delete) {
+						await removeDeletedSources();
+					}
+
+					if (existingPaths.length > 0) {
+						await copyChangedSources(existingPaths);
+					}
+				} catch (error) {
+					// Keep watching, the next change may well fix it.
+					logError(error.name === 'CpyError' || error.name === 'CliError' ? error.message : error);
+				}
+			})();
+		},
+		onError(error) {
+			// Keep watching what still can be watched.
+			logError(error.message);
+		},
+	});
+
+	logError('Watching for changes…');
+
+	return watcher;
+}
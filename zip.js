@@ -0,0 +1,187 @@
+/* eslint-disable no-bitwise -- The zip format keeps the mode in bit fields. */
+import path from 'node:path';
+import {Buffer} from 'node:buffer';
+import {createWriteStream} from 'node:fs';
+import fs from 'node:fs/promises';
+import {once} from 'node:events';
+import {pipeline} from 'node:stream/promises';
+import {text} from 'node:stream/consumers';
+import yazl from 'yazl';
+import yauzl from 'yauzl';
+import CliError from './cli-error.js';
+import {isWithin} from './utilities.js';
+
+const unixPlatform = 3;
+// Made on Unix, the upper half of the external attributes is the mode.
+const getMode = entry => entry.versionMadeBy >> 8 === unixPlatform ? entry.externalFileAttributes >>> 16 : 0;
+
+// Entry names use forward slashes on every platform.
+const getEntryName = (directory, filePath) => path.relative(directory, filePath).split(path.sep).join('/');
+
+const throwOnError = async emitter => {
+	const [error] = await once(emitter, 'error');
+	throw error;
+};
+
+/**
+Write the contents of a directory into a new zip archive, streaming each file into it.
+
+@param {string} directory
+@param {string} archivePath
+*/
+export async function writeZip(directory, archivePath) {
+	const entries = await fs.readdir(directory, {withFileTypes: true, recursive: true});
+	const filePaths = entries.map(entry => path.join(entry.parentPath ?? entry.path, entry.name)).sort();
+
+	const zipFile = new yazl.ZipFile();
+
+	for (const filePath of filePaths) {
+		const name = getEntryName(directory, filePath);
+		// eslint-disable-next-line no-await-in-loop
+		const stats = await fs.lstat(filePath);
+		const options = {mtime: stats.mtime, mode: stats.mode};
+
+		if (stats.isDirectory()) {
+			zipFile.addEmptyDirectory(name, options);
+		} else if (stats.isSymbolicLink()) {
+			// Like Info-ZIP, a link is stored with its target as the contents.
+			// eslint-disable-next-line no-await-in-loop
+			zipFile.addBuffer(Buffer.from(await fs.readlink(filePath)), name, {...options, compress: false});
+		} else {
+			zipFile.addFile(filePath, name, options);
+		}
+	}
+
+	zipFile.end();
+
+	// A file that cannot be read fails the archive rather than its output stream.
+	await Promise.race([
+		pipeline(zipFile.outputStream, createWriteStream(archivePath)),
+		throwOnError(zipFile),
+	]);
+}
+
+// The size of the disk the archive is extracted to, so an archive that unpacks to more than fits is refused before it fills it.
+const getAvailableSpace = async directory => {
+	const {bavail, bsize} = await fs.statfs(directory);
+	return bavail * bsize;
+};
+
+const lstatOrUndefined = async filePath => {
+	try {
+		return await fs.lstat(filePath);
+	} catch (error) {
+		if (error.code !== 'ENOENT') {
+			throw error;
+		}
+	}
+};
+
+// Like `node-tar`, nothing is written through a link that an earlier entry made, as a chain of links that each stay inside could still lead out of the directory.
+const findLinkOnTheWay = async (directory, entryPath) => {
+	let currentPath = directory;
+	for (const segment of path.relative(directory, entryPath).split(path.sep)) {
+		currentPath = path.join(currentPath, segment);
+
+		// eslint-disable-next-line no-await-in-loop
+		const stats = await lstatOrUndefined(currentPath);
+		if (stats === undefined) {
+			return;
+		}
+
+		if (stats.isSymbolicLink()) {
+			return currentPath;
+		}
+	}
+};
+
+// The links are only followed once all of them are there, so where they lead is checked at the end.
+const assertLinksStayInside = async (directory, linkPaths, archivePath) => {
+	const realDirectory = await fs.realpath(directory);
+
+	for (const linkPath of linkPaths) {
+		let target;
+		try {
+			// eslint-disable-next-line no-await-in-loop
+			target = await fs.realpath(linkPath);
+		} catch {
+			// A dangling link has nothing to copy.
+			continue;
+		}
+
+		if (!isWithin(realDirectory, target)) {
+			throw new CliError(`Refusing to extract the link \`${getEntryName(directory, linkPath)}\` from \`${archivePath}\`, as it leads outside of it`);
+		}
+	}
+};
+
+/**
+Extract a zip archive into a directory, with the modes and modification times of its entries.
+
+`yauzl` refuses entries that point outside the directory and checks that each entry is as large as the archive says, so the sizes can be trusted to refuse an archive that does not fit.
+
+@param {string} archivePath
+@param {string} directory
+*/
+export async function extractZip(archivePath, directory) {
+	let zipFile;
+	try {
+		zipFile = await yauzl.openPromise(archivePath, {strictFileNames: true});
+	} catch (error) {
+		throw new CliError(`\`${archivePath}\` is not a zip archive: ${error.message}`, {cause: error});
+	}
+
+	const availableSpace = await getAvailableSpace(directory);
+	let extractedSize = 0;
+	const linkPaths = [];
+
+	for await (const entry of zipFile.eachEntry()) {
+		const entryPath = path.join(directory, entry.fileName);
+
+		const linkOnTheWay = await findLinkOnTheWay(directory, entryPath);
+		if (linkOnTheWay !== undefined) {
+			const linkName = getEntryName(directory, linkOnTheWay);
+			throw new CliError(`Refusing to extract \`${entry.fileName}\` from \`${archivePath}\`, as it would be written through the link \`${linkName}\``);
+		}
+
+		if (entry.fileName.endsWith('/')) {
+			await fs.mkdir(entryPath, {recursive: true});
+			continue;
+		}
+
+		if (entry.isEncrypted()) {
+			throw new CliError(`Cannot extract \`${entry.fileName}\` from \`${archivePath}\`, as it is encrypted`);
+		}
+
+		if (!entry.canDecodeFileData()) {
+			throw new CliError(`Cannot extract \`${entry.fileName}\` from \`${archivePath}\`, as its compression method ${entry.compressionMethod} is not supported`);
+		}
+
+		extractedSize += entry.uncompressedSize;
+		if (extractedSize > availableSpace) {
+			throw new CliError(`Cannot extract \`${archivePath}\`, as it unpacks to more than the ${availableSpace} bytes left on the disk`);
+		}
+
+		await fs.mkdir(path.dirname(entryPath), {recursive: true});
+		const mode = getMode(entry);
+		const readStream = await zipFile.openReadStreamPromise(entry);
+
+		if ((mode & 0o17_0000) === 0o12_0000) {
+			const target = await text(readStream);
+
+			if (!isWithin(directory, path.resolve(path.dirname(entryPath), target))) {
+				throw new CliError(`Refusing to extract the link \`${entry.fileName}\` from \`${archivePath}\`, as it points outside of it`);
+			}
+
+			await fs.symlink(target, entryPath);
+			linkPaths.push(entryPath);
+			continue;
+		}
+
+		await pipeline(readStream, createWriteStream(entryPath, {mode: (mode & 0o777) || 0o644}));
+		const date = entry.getLastModDate();
+		await fs.utimes(entryPath, date, date);
+	}
+
+	await assertLinksStayInside(directory, linkPaths, archivePath);
+}